@@ -0,0 +1,121 @@
+import * as THREE from 'three';
+
+// --- Accessibility ---
+// Keyboard navigation between hotspots (with a focus ring projected over the selected mesh),
+// a screen-reader live region, and the prefers-reduced-motion media query.
+
+const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+const ringPadding = 8; // px around the projected mesh bounds
+
+function prefersReducedMotion() {
+    return reducedMotionQuery.matches;
+}
+
+// Returns a function that stops listening.
+function onReducedMotionChange(callback) {
+    const onChange = () => callback(reducedMotionQuery.matches);
+    reducedMotionQuery.addEventListener('change', onChange);
+    return () => reducedMotionQuery.removeEventListener('change', onChange);
+}
+
+// Screen-reader announcements through an offscreen aria-live element; repeats are skipped.
+function createAnnouncer(liveRegionElement) {
+    let lastMessage = '';
+    return {
+        announce(message) {
+            if (!message || message === lastMessage) return;
+            lastMessage = message;
+            liveRegionElement.textContent = message;
+        },
+        reset() {
+            lastMessage = '';
+        }
+    };
+}
+
+// Tracks which hotspot the keyboard has selected. Hotspots are ordered left to right in world space,
+// so Tab/arrow order matches what's on screen.
+function createHotspotNavigator(ringElement) {
+    let meshes = [];
+    let selected = null;
+
+    const box = new THREE.Box3();
+    const corner = new THREE.Vector3();
+
+    function ordered() {
+        const worldX = new Map(meshes.map(mesh => [mesh, mesh.getWorldPosition(new THREE.Vector3()).x]));
+        return meshes.slice().sort((a, b) => worldX.get(a) - worldX.get(b));
+    }
+
+    // Move the selection by `step` (+1/-1). Returns false when stepping past either end,
+    // so Tab can leave the canvas instead of trapping focus.
+    function move(step) {
+        const list = ordered();
+        if (list.length === 0) return false;
+        const index = selected ? list.indexOf(selected) : (step > 0 ? -1 : list.length);
+        const nextIndex = index + step;
+        if (nextIndex < 0 || nextIndex >= list.length) return false;
+        selected = list[nextIndex];
+        return true;
+    }
+
+    return {
+        setHotspots(hotspotMeshes) {
+            meshes = hotspotMeshes.slice();
+            if (selected && !meshes.includes(selected)) selected = null;
+        },
+
+        next() { return move(1); },
+        previous() { return move(-1); },
+
+        // Wrap-around movement for arrow keys
+        cycle(step) {
+            if (!move(step)) {
+                selected = null;
+                move(step);
+            }
+        },
+
+        clear() {
+            selected = null;
+            ringElement.classList.remove('visible');
+        },
+
+        getSelected() {
+            return selected;
+        },
+
+        // Project the selected mesh's bounds to screen space and fit the ring around them.
+        // Returns the ring's centre in pixels, or null when nothing is selected or it's off screen.
+        updateRing(camera, viewportWidth, viewportHeight) {
+            if (!selected) {
+                ringElement.classList.remove('visible');
+                return null;
+            }
+            box.setFromObject(selected);
+            let minX = Infinity; let minY = Infinity; let maxX = -Infinity; let maxY = -Infinity;
+            let behindCamera = false;
+            for (let i = 0; i < 8; i++) {
+                corner.set(i & 1 ? box.max.x : box.min.x, i & 2 ? box.max.y : box.min.y, i & 4 ? box.max.z : box.min.z);
+                corner.project(camera);
+                if (corner.z > 1) behindCamera = true;
+                const x = (corner.x + 1) / 2 * viewportWidth;
+                const y = (1 - corner.y) / 2 * viewportHeight;
+                minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+                minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+            }
+            if (behindCamera || maxX < 0 || maxY < 0 || minX > viewportWidth || minY > viewportHeight) {
+                ringElement.classList.remove('visible');
+                return null;
+            }
+            ringElement.style.left = `${minX - ringPadding}px`;
+            ringElement.style.top = `${minY - ringPadding}px`;
+            ringElement.style.width = `${maxX - minX + ringPadding * 2}px`;
+            ringElement.style.height = `${maxY - minY + ringPadding * 2}px`;
+            ringElement.classList.add('visible');
+            return { x: (minX + maxX) / 2, y: (minY + maxY) / 2, left: minX, right: maxX, top: minY };
+        }
+    };
+}
+
+export { prefersReducedMotion, onReducedMotionChange, createAnnouncer, createHotspotNavigator };
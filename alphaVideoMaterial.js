@@ -0,0 +1,124 @@
+import * as THREE from 'three';
+
+// --- Alpha Video Material ---
+// One ShaderMaterial for every hotspot video plane. It composites transparency on the GPU from:
+//   'embedded'     - the texture's own alpha channel (VP9/HEVC alpha, sprite sheets)
+//   'top-bottom'   - a stacked video, color in the top half and a grayscale alpha matte below
+//   'side-by-side' - color in the left half, alpha matte in the right half
+//   'mask'         - an opaque color video plus a separate grayscale mask texture
+// UVs follow the GLTF convention (flipY = false), so v = 0 is the top of the frame.
+// `highlight` (0-1) fades in a rim outline around the creature's silhouette, for hover feedback.
+
+const alphaLayouts = { 'embedded': 0, 'top-bottom': 1, 'side-by-side': 2, 'mask': 3 };
+const highlightColor = 0xffd54a; // Same gold as the keyboard focus ring
+const outlineWidth = 0.012; // In UV units of the frame
+
+const vertexShader = /* glsl */`
+    varying vec2 vUv;
+
+    void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const fragmentShader = /* glsl */`
+    uniform sampler2D map;
+    uniform sampler2D alphaMap;
+    uniform mat3 mapTransform;
+    uniform float opacity;
+    uniform float alphaTest;
+    uniform float highlight;
+    uniform vec3 highlightColor;
+    uniform float outlineWidth;
+
+    varying vec2 vUv;
+
+    // frameUv is in the frame's own 0-1 space, before the texture transform and layout split
+    void sampleFrame(vec2 frameUv, out vec3 color, out float alpha) {
+        vec2 uv = (mapTransform * vec3(frameUv, 1.0)).xy;
+
+        #if ALPHA_LAYOUT == 1
+            color = texture2D(map, vec2(uv.x, uv.y * 0.5)).rgb;
+            alpha = texture2D(map, vec2(uv.x, 0.5 + uv.y * 0.5)).r;
+        #elif ALPHA_LAYOUT == 2
+            color = texture2D(map, vec2(uv.x * 0.5, uv.y)).rgb;
+            alpha = texture2D(map, vec2(0.5 + uv.x * 0.5, uv.y)).r;
+        #elif ALPHA_LAYOUT == 3
+            color = texture2D(map, uv).rgb;
+            alpha = texture2D(alphaMap, uv).r;
+        #else
+            vec4 texel = texture2D(map, uv);
+            color = texel.rgb;
+            alpha = texel.a;
+        #endif
+    }
+
+    // Strongest alpha on a ring around the pixel; where it beats the pixel's own, we're just outside the silhouette
+    float ringAlpha() {
+        vec3 unusedColor;
+        float alpha;
+        float strongest = 0.0;
+        for (int i = 0; i < 8; i++) {
+            float angle = float(i) * 0.7853982;
+            sampleFrame(clamp(vUv + vec2(cos(angle), sin(angle)) * outlineWidth, 0.0, 1.0), unusedColor, alpha);
+            strongest = max(strongest, alpha);
+        }
+        return strongest;
+    }
+
+    void main() {
+        vec3 color;
+        float alpha;
+        sampleFrame(vUv, color, alpha);
+
+        if (highlight > 0.0) {
+            float rim = clamp(ringAlpha() - alpha, 0.0, 1.0) * highlight;
+            color = mix(color, highlightColor, rim);
+            alpha = max(alpha, rim);
+        }
+
+        alpha *= opacity;
+        if (alpha < alphaTest) discard;
+
+        gl_FragColor = vec4(color, alpha);
+
+        #include <tonemapping_fragment>
+        #include <colorspace_fragment>
+    }
+`;
+
+// Build the material for a video/canvas/sprite texture. `alphaMap` is only used by the 'mask' layout.
+function createAlphaVideoMaterial(texture, layout = 'embedded', alphaMap = null) {
+    if (!(layout in alphaLayouts)) {
+        console.warn(`Unknown alpha layout "${layout}", falling back to embedded alpha.`);
+        layout = 'embedded';
+    }
+    if (layout === 'mask' && !alphaMap) {
+        console.warn("Alpha layout 'mask' needs an alphaMap; falling back to embedded alpha.");
+        layout = 'embedded';
+    }
+
+    texture.updateMatrix();
+
+    return new THREE.ShaderMaterial({
+        name: `AlphaVideoMaterial (${layout})`,
+        defines: { ALPHA_LAYOUT: alphaLayouts[layout] },
+        uniforms: {
+            map: { value: texture },
+            alphaMap: { value: alphaMap },
+            mapTransform: { value: texture.matrix }, // Shared by reference; call texture.updateMatrix() after changing offset/repeat
+            opacity: { value: 1.0 },
+            alphaTest: { value: 0.01 },
+            highlight: { value: 0 },
+            highlightColor: { value: new THREE.Color(highlightColor) },
+            outlineWidth: { value: outlineWidth }
+        },
+        vertexShader: vertexShader,
+        fragmentShader: fragmentShader,
+        side: THREE.DoubleSide,
+        transparent: true
+    });
+}
+
+export { alphaLayouts, createAlphaVideoMaterial };
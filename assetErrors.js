@@ -0,0 +1,125 @@
+// --- Asset Errors ---
+// Every load failure goes through one reporter: it is classified by asset and severity, logged in one
+// format, and handed to the page's handlers. Transient network failures are retried with backoff first.
+//   'fatal'    - the scene can't run without it (manifest, model, WebGL); the page shows a message
+//   'degraded' - the scene runs without it (a video falls back to its poster, audio stays silent)
+
+const assetSeverity = {
+    webgl: 'fatal',
+    manifest: 'fatal',
+    model: 'fatal',
+    camera: 'degraded',
+    video: 'degraded',
+    audio: 'degraded'
+};
+const retryAttempts = 3; // Including the first try
+const retryBaseDelay = 500; // ms; doubles on every retry
+
+// Network hiccups and overloaded servers are worth retrying; 404s, decode and parse errors aren't.
+function isTransientError(error) {
+    if (!error) return false;
+    if (error.name === 'NetworkError') return true; // From networkFailure(), or a DOMException from XHR
+    if (error.cause) return isTransientError(error.cause);
+    if (error.response && typeof error.response.status === 'number') {
+        const status = error.response.status;
+        return status >= 500 || status === 408 || status === 429;
+    }
+    if (typeof MediaError !== 'undefined' && error instanceof MediaError) {
+        return error.code === MediaError.MEDIA_ERR_NETWORK;
+    }
+    return false;
+}
+
+// fetch() rejects a network failure with a plain TypeError, the same type a bug or a malformed file
+// throws, so call sites wrap the errors of the request itself with this before they get reported.
+// Anything else (an HTTP error carrying its response, say) is passed through unchanged.
+function networkFailure(error) {
+    if (!error || error.name !== 'TypeError') return error;
+    const failure = new Error(`Network request failed: ${describeError(error)}`, { cause: error });
+    failure.name = 'NetworkError';
+    return failure;
+}
+
+function describeError(error) {
+    if (!error) return 'unknown error';
+    if (typeof MediaError !== 'undefined' && error instanceof MediaError) {
+        return `media error ${error.code}${error.message ? `: ${error.message}` : ''}`;
+    }
+    return error.message || String(error);
+}
+
+// `handlers.onFatal(entry)` and `handlers.onDegraded(entry)` receive
+// { asset, severity, transient, message, error }.
+function createErrorReporter(handlers) {
+    const entries = [];
+    const retryTimers = new Set();
+
+    function report(asset, error, message) {
+        const entry = {
+            asset: asset,
+            severity: assetSeverity[asset] || 'degraded',
+            transient: isTransientError(error),
+            message: message || describeError(error),
+            error: error
+        };
+        entries.push(entry);
+        const line = `[${entry.asset}/${entry.severity}] ${entry.message}`;
+        if (entry.severity === 'fatal') {
+            console.error(line, error);
+            if (handlers.onFatal) handlers.onFatal(entry);
+        } else {
+            console.warn(line, error);
+            if (handlers.onDegraded) handlers.onDegraded(entry);
+        }
+        return entry;
+    }
+
+    // For event-driven sources (e.g. <video>): schedule `rerun` after a backoff if `error` is transient
+    // and `attemptNumber` (1-based, the attempt that just failed) leaves retries. Returns whether it did.
+    function retryLater(label, error, attemptNumber, rerun) {
+        if (!isTransientError(error) || attemptNumber >= retryAttempts) return false;
+        const delay = retryBaseDelay * Math.pow(2, attemptNumber - 1) * (0.8 + Math.random() * 0.4);
+        console.warn(`${label} failed (attempt ${attemptNumber} of ${retryAttempts}); retrying in ${Math.round(delay)} ms.`, error);
+        const timer = setTimeout(() => {
+            retryTimers.delete(timer);
+            rerun();
+        }, delay);
+        retryTimers.add(timer);
+        return true;
+    }
+
+    return {
+        report: report,
+        retryLater: retryLater,
+
+        // For callback loaders: `attempt(onSuccess, onFailure)` is called again after transient failures;
+        // `onFailure(error)` only runs once retrying is over.
+        retry(label, attempt, onSuccess, onFailure) {
+            let attemptNumber = 0;
+            function run() {
+                attemptNumber++;
+                attempt(onSuccess, (error) => {
+                    if (!retryLater(label, error, attemptNumber, run)) onFailure(error);
+                });
+            }
+            run();
+        },
+
+        // Retries waiting on their backoff timer; a LoadingManager can look idle meanwhile
+        hasPendingRetries() {
+            return retryTimers.size > 0;
+        },
+
+        getEntries() {
+            return entries.slice();
+        },
+
+        // Cancels the retries still waiting on their backoff timer
+        dispose() {
+            retryTimers.forEach(timer => clearTimeout(timer));
+            retryTimers.clear();
+        }
+    };
+}
+
+export { isTransientError, networkFailure, createErrorReporter };
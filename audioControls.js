@@ -0,0 +1,91 @@
+// --- Audio Controls ---
+// On-screen mute toggle and volume slider. The choice is kept in localStorage so a visitor
+// who chose silence isn't asked to unlock audio again on their next visit.
+
+const preferenceKey = 'ccScene.audioPreference';
+const defaultPreference = { muted: false, volume: 1 };
+const defaultLabels = { mute: 'Mute audio (M)', unmute: 'Unmute audio (M)' };
+
+function loadAudioPreference() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(preferenceKey));
+        if (stored && typeof stored.muted === 'boolean' && typeof stored.volume === 'number') {
+            return { muted: stored.muted, volume: Math.min(1, Math.max(0, stored.volume)) };
+        }
+    } catch (e) {
+        console.warn('Could not read the stored audio preference:', e);
+    }
+    return { ...defaultPreference };
+}
+
+function saveAudioPreference(preference) {
+    try {
+        localStorage.setItem(preferenceKey, JSON.stringify(preference));
+    } catch (e) {
+        // Private browsing or storage disabled; the preference just won't survive a reload
+        console.warn('Could not store the audio preference:', e);
+    }
+}
+
+// `onChange(preference)` runs after every user change, once the preference has been saved.
+// `labels` names the mute button in each state, for localized pages.
+function createAudioControls(containerElement, initialPreference, onChange, labels = defaultLabels) {
+    const muteButton = containerElement.querySelector('.audio-mute-button');
+    const volumeSlider = containerElement.querySelector('.audio-volume');
+    const preference = { ...initialPreference };
+
+    function render() {
+        muteButton.setAttribute('aria-pressed', String(preference.muted));
+        muteButton.setAttribute('aria-label', preference.muted ? labels.unmute : labels.mute);
+        muteButton.textContent = preference.muted ? '\u{1F507}' : '\u{1F50A}';
+        volumeSlider.value = String(Math.round(preference.volume * 100));
+        volumeSlider.disabled = preference.muted;
+    }
+
+    function commit(persist = true) {
+        render();
+        if (persist) saveAudioPreference(preference);
+        onChange({ ...preference });
+    }
+
+    muteButton.addEventListener('click', () => {
+        preference.muted = !preference.muted;
+        commit();
+    });
+    volumeSlider.addEventListener('input', () => {
+        preference.volume = Number(volumeSlider.value) / 100;
+        commit();
+    });
+
+    render();
+
+    return {
+        show() {
+            containerElement.classList.add('visible');
+        },
+
+        toggleMuted() {
+            preference.muted = !preference.muted;
+            commit();
+        },
+
+        // `persist: false` for a page muting the scene itself, which isn't the visitor's own choice
+        setMuted(muted, { persist = true } = {}) {
+            if (preference.muted === muted) return;
+            preference.muted = muted;
+            commit(persist);
+        },
+
+        // New `labels` for the mute button, e.g. after a locale change
+        setLabels(newLabels) {
+            labels = newLabels;
+            render();
+        },
+
+        getPreference() {
+            return { ...preference };
+        }
+    };
+}
+
+export { loadAudioPreference, createAudioControls };
@@ -0,0 +1,30 @@
+import WebGL from 'three/addons/capabilities/WebGL.js';
+import { createErrorReporter } from './assetErrors.js';
+import { showStaticFallback } from './staticFallback.js';
+import { registerServiceWorker } from './offlineCache.js';
+import { resolveLocale, createTranslator } from './i18n.js';
+
+// --- Bootstrap ---
+// Entry point: checks for WebGL 2 before loading the 3D scene (main.js, which mounts scene.js
+// in #scene). Without it, or if the scene's modules fail to load, the page falls back to a
+// static list of the hotspots.
+// Either way the service worker is registered, so the next visit works offline.
+
+const errorReporter = createErrorReporter({});
+
+registerServiceWorker();
+
+function fallBack(error, message) {
+    errorReporter.report('webgl', error, message);
+    showStaticFallback(document.getElementById('static-fallback'), createTranslator(resolveLocale()), (err) => {
+        errorReporter.report('manifest', err);
+    });
+}
+
+if (WebGL.isWebGL2Available()) {
+    import('./main.js').catch((err) => {
+        fallBack(err, 'The 3D scene failed to start; showing the static fallback.');
+    });
+} else {
+    fallBack(null, 'WebGL 2 is not available; showing the static fallback.');
+}
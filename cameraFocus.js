@@ -0,0 +1,126 @@
+import * as THREE from 'three';
+
+// --- Camera Focus ---
+// Flies the camera to a framing pose in front of a hotspot mesh and back again.
+// `clampPosition(vector)` lets the caller keep the framing pose inside its camera bounds.
+// A return flight always finishes (and runs its onReturn): focus() is refused until it has.
+
+const defaultFlyDuration = 1.2; // seconds per flight
+const framingMargin = 1.3; // 1 = mesh bounding sphere exactly fills the view
+
+function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+function createCameraFocus(camera, clampPosition) {
+    let returnPose = null; // Pose to restore on release(), captured when the first focus starts
+    let flight = null; // { fromPosition, fromQuaternion, toPosition, toQuaternion, elapsed, onComplete }
+    let focusedMesh = null;
+    let returning = false; // Flying back after release()
+    let flyDuration = defaultFlyDuration;
+
+    // Work out a camera pose (in the camera's parent space) that frames the mesh
+    function computeFramingPose(mesh) {
+        const sphere = new THREE.Box3().setFromObject(mesh).getBoundingSphere(new THREE.Sphere());
+        const verticalFov = THREE.MathUtils.degToRad(camera.fov);
+        const horizontalFov = 2 * Math.atan(Math.tan(verticalFov / 2) * camera.aspect);
+        const distance = sphere.radius / Math.sin(Math.min(verticalFov, horizontalFov) / 2) * framingMargin;
+
+        const cameraWorldPosition = camera.getWorldPosition(new THREE.Vector3());
+        const approach = cameraWorldPosition.sub(sphere.center);
+        if (approach.lengthSq() < 1e-6) approach.set(0, 0, 1);
+        approach.normalize();
+
+        const worldPosition = sphere.center.clone().addScaledVector(approach, distance);
+        const position = camera.parent ? camera.parent.worldToLocal(worldPosition.clone()) : worldPosition.clone();
+        clampPosition(position);
+
+        // Look at the mesh from wherever clamping left us
+        const clampedWorldPosition = camera.parent ? camera.parent.localToWorld(position.clone()) : position.clone();
+        const lookMatrix = new THREE.Matrix4().lookAt(clampedWorldPosition, sphere.center, camera.up);
+        const quaternion = new THREE.Quaternion().setFromRotationMatrix(lookMatrix);
+        if (camera.parent) {
+            const parentQuaternion = camera.parent.getWorldQuaternion(new THREE.Quaternion());
+            quaternion.premultiply(parentQuaternion.invert());
+        }
+        return { position, quaternion };
+    }
+
+    function flyTo(position, quaternion, onComplete) {
+        flight = {
+            fromPosition: camera.position.clone(),
+            fromQuaternion: camera.quaternion.clone(),
+            toPosition: position,
+            toQuaternion: quaternion,
+            elapsed: 0,
+            onComplete: onComplete
+        };
+    }
+
+    return {
+        // Returns false, doing nothing, while the camera is still flying back from release()
+        focus(mesh, onArrive) {
+            if (returning) return false;
+            if (!returnPose) {
+                returnPose = { position: camera.position.clone(), quaternion: camera.quaternion.clone() };
+            }
+            focusedMesh = mesh;
+            const pose = computeFramingPose(mesh);
+            flyTo(pose.position, pose.quaternion, onArrive);
+            return true;
+        },
+
+        release(onReturn) {
+            if (!returnPose) return;
+            const pose = returnPose;
+            focusedMesh = null;
+            returning = true;
+            flyTo(pose.position, pose.quaternion, () => {
+                returnPose = null;
+                returning = false;
+                if (onReturn) onReturn();
+            });
+        },
+
+        // Advance any flight in progress. Returns true while the camera is focused or flying.
+        update(delta) {
+            if (flight) {
+                flight.elapsed = Math.min(flight.elapsed + delta, flyDuration);
+                const t = flyDuration > 0 ? easeInOutCubic(flight.elapsed / flyDuration) : 1;
+                camera.position.lerpVectors(flight.fromPosition, flight.toPosition, t);
+                camera.quaternion.slerpQuaternions(flight.fromQuaternion, flight.toQuaternion, t);
+                if (flight.elapsed >= flyDuration) {
+                    const onComplete = flight.onComplete;
+                    flight = null;
+                    if (onComplete) onComplete();
+                }
+            }
+            return this.isActive();
+        },
+
+        // 0 makes flights instant (used for prefers-reduced-motion)
+        setFlyDuration(seconds) {
+            flyDuration = seconds === undefined ? defaultFlyDuration : seconds;
+        },
+
+        isActive() {
+            return returnPose !== null;
+        },
+
+        // True only while the camera is moving to or from a hotspot
+        isFlying() {
+            return flight !== null;
+        },
+
+        // True while flying back from release(); focus() is refused meanwhile
+        isReturning() {
+            return returning;
+        },
+
+        getFocusedMesh() {
+            return focusedMesh;
+        }
+    };
+}
+
+export { createCameraFocus };
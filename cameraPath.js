@@ -0,0 +1,158 @@
+import * as THREE from 'three';
+
+// --- Camera Path ---
+// Builds a spline from the GLB for scroll-driven camera movement. The path is authored in Blender as either:
+//   { "object": "CameraPath" }                       - a polyline (curve converted to mesh) or an empty whose
+//                                                      child empties mark the points in name order
+//   { "animation": "CameraFlight", "node": "Rig" }   - the keyframed positions of an animated empty
+// Optional look-at segments turn the camera towards a named object between two progress values:
+//   "lookAt": [{ "start": 0.2, "end": 0.45, "target": "lunaMoth_webm" }]
+// The curve is built in world space; `bounds` and progressForX() work in the camera parent's space,
+// like camera.position, which is what the scene clamps and writes into #x= links.
+
+const defaultBlend = 0.05; // Progress over which the camera eases into and out of a look-at segment
+const boundsPadding = 2; // Units of slack around the path for camera clamping
+const progressSamples = 200; // Resolution for nearest-point lookups
+
+function collectObjectPoints(pathObject) {
+    pathObject.updateWorldMatrix(true, true);
+    const positionAttribute = pathObject.geometry && pathObject.geometry.getAttribute('position');
+    if (positionAttribute) {
+        const points = [];
+        for (let i = 0; i < positionAttribute.count; i++) {
+            points.push(new THREE.Vector3().fromBufferAttribute(positionAttribute, i).applyMatrix4(pathObject.matrixWorld));
+        }
+        return points;
+    }
+    return pathObject.children
+        .slice()
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+        .map(child => child.getWorldPosition(new THREE.Vector3()));
+}
+
+function collectAnimationPoints(gltf, animationName, nodeName) {
+    const clip = gltf.animations.find(animation => animation.name === animationName);
+    if (!clip) {
+        console.warn(`Camera path animation "${animationName}" not found in the GLB.`);
+        return [];
+    }
+    const track = clip.tracks.find(t => t.name === `${nodeName}.position`);
+    if (!track) {
+        console.warn(`Animation "${animationName}" has no position track for "${nodeName}".`);
+        return [];
+    }
+    // Keyframes are in the node's parent space
+    const node = gltf.scene.getObjectByName(nodeName);
+    if (node && node.parent) node.parent.updateWorldMatrix(true, false);
+    const parentMatrix = node && node.parent ? node.parent.matrixWorld : new THREE.Matrix4();
+
+    const points = [];
+    for (let i = 0; i < track.values.length; i += 3) {
+        points.push(new THREE.Vector3(track.values[i], track.values[i + 1], track.values[i + 2]).applyMatrix4(parentMatrix));
+    }
+    return points;
+}
+
+// Returns null (with a warning) when the manifest's path can't be built, so callers can fall back.
+function createCameraPath(gltf, config, camera) {
+    let points;
+    if (config.object) {
+        const pathObject = gltf.scene.getObjectByName(config.object);
+        if (!pathObject) {
+            console.warn(`Camera path object "${config.object}" not found in the GLB.`);
+            return null;
+        }
+        points = collectObjectPoints(pathObject);
+        pathObject.visible = false; // Authoring aid only
+    } else {
+        points = collectAnimationPoints(gltf, config.animation, config.node);
+    }
+
+    // Drop consecutive duplicates, which CatmullRom can't handle
+    points = points.filter((point, index) => index === 0 || point.distanceToSquared(points[index - 1]) > 1e-8);
+    if (points.length < 2) {
+        console.warn('Camera path needs at least two distinct points; using the straight scroll instead.');
+        return null;
+    }
+
+    const curve = new THREE.CatmullRomCurve3(points, false, 'centripetal');
+    const length = curve.getLength();
+
+    // Evenly spaced path points in the camera parent's space, for bounds and X lookups
+    if (camera.parent) camera.parent.updateWorldMatrix(true, false);
+    const cameraSpaceSamples = curve.getSpacedPoints(progressSamples)
+        .map(point => camera.parent ? camera.parent.worldToLocal(point) : point);
+    const bounds = new THREE.Box3().setFromPoints(cameraSpaceSamples).expandByScalar(boundsPadding);
+
+    const baseQuaternion = camera.quaternion.clone(); // Orientation outside look-at segments
+    const lookAtSegments = (config.lookAt || []).map(segment => {
+        const target = gltf.scene.getObjectByName(segment.target);
+        if (!target) console.warn(`Camera path look-at target "${segment.target}" not found in the GLB.`);
+        return { start: segment.start, end: segment.end, target: target };
+    }).filter(segment => segment.target);
+    const blend = config.blend !== undefined ? config.blend : defaultBlend;
+
+    const worldPoint = new THREE.Vector3();
+    const lookTarget = new THREE.Vector3();
+    const lookMatrix = new THREE.Matrix4();
+    const lookQuaternion = new THREE.Quaternion();
+    const parentQuaternion = new THREE.Quaternion();
+
+    // How strongly a segment applies at `progress`: 0 outside, easing up to 1 inside
+    function segmentWeight(segment, progress) {
+        if (progress < segment.start - blend || progress > segment.end + blend) return 0;
+        const fadeIn = blend > 0 ? THREE.MathUtils.smoothstep(progress, segment.start - blend, segment.start) : 1;
+        const fadeOut = blend > 0 ? 1 - THREE.MathUtils.smoothstep(progress, segment.end, segment.end + blend) : 1;
+        return Math.min(fadeIn, fadeOut);
+    }
+
+    console.log(`Camera path ready: ${points.length} points, ${length.toFixed(1)} units long, ${lookAtSegments.length} look-at segment(s).`);
+
+    return {
+        length: length,
+        bounds: bounds,
+
+        // Place and orient the camera at `progress` (0..1 along the path)
+        applyToCamera(progress) {
+            curve.getPointAt(progress, worldPoint);
+            camera.position.copy(camera.parent ? camera.parent.worldToLocal(worldPoint.clone()) : worldPoint);
+
+            camera.quaternion.copy(baseQuaternion);
+            lookAtSegments.forEach(segment => {
+                const weight = segmentWeight(segment, progress);
+                if (weight <= 0) return;
+                segment.target.getWorldPosition(lookTarget);
+                lookMatrix.lookAt(worldPoint, lookTarget, camera.up);
+                lookQuaternion.setFromRotationMatrix(lookMatrix);
+                if (camera.parent) {
+                    lookQuaternion.premultiply(camera.parent.getWorldQuaternion(parentQuaternion).invert());
+                }
+                camera.quaternion.slerp(lookQuaternion, weight);
+            });
+        },
+
+        // Progress of the path point nearest to a world position
+        progressNearestTo(position) {
+            let best = 0;
+            let bestDistance = Infinity;
+            for (let i = 0; i <= progressSamples; i++) {
+                const distance = curve.getPointAt(i / progressSamples, worldPoint).distanceToSquared(position);
+                if (distance < bestDistance) { bestDistance = distance; best = i / progressSamples; }
+            }
+            return best;
+        },
+
+        // Progress of the path point whose camera-space X is closest to `x` (for #x= deep links)
+        progressForX(x) {
+            let best = 0;
+            let bestDistance = Infinity;
+            for (let i = 0; i <= progressSamples; i++) {
+                const distance = Math.abs(cameraSpaceSamples[i].x - x);
+                if (distance < bestDistance) { bestDistance = distance; best = i / progressSamples; }
+            }
+            return best;
+        }
+    };
+}
+
+export { createCameraPath };
@@ -0,0 +1,64 @@
+import { createScene } from './scene.js';
+
+// --- <cc-scene> Element ---
+// The scene as a custom element, for pages that would rather write markup than call createScene():
+//   <script type="module" src="ccSceneElement.js"></script>
+//   <cc-scene manifest="scene.json" locale="de" style="height: 480px"></cc-scene>
+// Without a `locale` attribute the language is detected as for the page (see i18n.js).
+// The element starts its scene when it is connected, disposes it when removed and builds it again
+// if it is re-attached. setMuted() and setLocale() may be called before it is connected; the
+// createScene() handle holds them until the scene starts. The scene's events (ready, progress, hotspotenter, hotspotleave, error)
+// are dispatched on the element itself.
+// The page still needs the import map for three.js, and is expected to check for WebGL 2 first.
+
+class CcSceneElement extends HTMLElement {
+    constructor() {
+        super();
+        this.scene = null;
+    }
+
+    // The createScene() handle, made on first use with the attributes as they are then
+    sceneHandle() {
+        if (!this.scene) {
+            const options = { autoInit: false };
+            if (this.hasAttribute('manifest')) options.manifest = this.getAttribute('manifest');
+            if (this.hasAttribute('locale')) options.locale = this.getAttribute('locale');
+            this.scene = createScene(this, options);
+        }
+        return this.scene;
+    }
+
+    connectedCallback() {
+        this.sceneHandle().init(); // Also builds it again when moved or re-attached
+    }
+
+    disconnectedCallback() {
+        if (this.scene) this.scene.dispose();
+    }
+
+    goTo(meshName, options) {
+        return this.scene ? this.scene.goTo(meshName, options) : false;
+    }
+
+    pause() {
+        if (this.scene) this.scene.pause();
+    }
+
+    resume() {
+        if (this.scene) this.scene.resume();
+    }
+
+    setMuted(muted) {
+        this.sceneHandle().setMuted(muted);
+    }
+
+    setLocale(locale) {
+        this.sceneHandle().setLocale(locale);
+    }
+}
+
+if (!customElements.get('cc-scene')) {
+    customElements.define('cc-scene', CcSceneElement);
+}
+
+export { CcSceneElement };
@@ -0,0 +1,33 @@
+// --- Debug HUD ---
+// On-screen frame rate, draw calls and quality tier, shown when the page is opened with ?debug.
+
+const refreshInterval = 0.5; // seconds between HUD updates
+
+function isDebugEnabled() {
+    return new URLSearchParams(window.location.search).has('debug');
+}
+
+function createDebugHud(hudElement) {
+    let frames = 0;
+    let time = 0;
+
+    hudElement.classList.add('visible');
+
+    return {
+        // Call after rendering, so renderInfo (renderer.info.render) describes this frame
+        update(delta, renderInfo, tierName) {
+            frames++;
+            time += delta;
+            if (time < refreshInterval) return;
+            hudElement.textContent =
+                `${Math.round(frames / time)} fps\n` +
+                `${renderInfo.calls} draw calls\n` +
+                `${renderInfo.triangles} triangles\n` +
+                `tier: ${tierName}`;
+            frames = 0;
+            time = 0;
+        }
+    };
+}
+
+export { isDebugEnabled, createDebugHud };
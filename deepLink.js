@@ -0,0 +1,89 @@
+// --- Deep Linking ---
+// Mirrors the view in the URL hash so links can open the scene at a creature or camera offset:
+//   #lunaMoth_webm  -> focus that hotspot
+//   #x=12.3         -> camera at that X position
+// Focusing a hotspot pushes a history entry, so back/forward step between visited hotspots;
+// scrolling only replaces the current entry.
+// A scene embedded in someone else's page shouldn't touch their URL: it gets createDetachedDeepLink(),
+// which has the same methods and does nothing.
+
+const replaceInterval = 250; // ms between replaceState calls while scrolling
+const minimumXChange = 0.05;
+
+// Null for an empty or malformed hash (e.g. a stray `%` from a hand-edited link)
+function parseSceneHash(hash) {
+    let value;
+    try {
+        value = decodeURIComponent(hash.replace(/^#/, ''));
+    } catch (e) {
+        console.warn(`Ignoring malformed URL hash "${hash}".`);
+        return null;
+    }
+    if (!value) return null;
+    const match = /^x=(-?\d+(?:\.\d+)?)$/.exec(value);
+    if (match) return { x: parseFloat(match[1]) };
+    return { meshName: value };
+}
+
+function formatCameraHash(x) {
+    return `#x=${x.toFixed(1)}`;
+}
+
+// `onNavigate(state)` is called for back/forward; state is the parsed hash or null.
+function createDeepLink(onNavigate) {
+    let lastReplaceTime = 0;
+    let lastX = null;
+
+    function onPopState() {
+        const state = parseSceneHash(window.location.hash);
+        if (state && state.x !== undefined) lastX = state.x;
+        onNavigate(state);
+    }
+    window.addEventListener('popstate', onPopState);
+
+    return {
+        // State requested by the URL the page was opened with
+        readInitialState() {
+            return parseSceneHash(window.location.hash);
+        },
+
+        pushHotspot(meshName) {
+            const hash = `#${encodeURIComponent(meshName)}`;
+            if (window.location.hash === hash) return;
+            history.pushState(null, '', hash);
+        },
+
+        pushCameraX(x) {
+            lastX = x;
+            lastReplaceTime = performance.now();
+            history.pushState(null, '', formatCameraHash(x));
+        },
+
+        // Called every frame while the camera moves freely; throttled so history isn't spammed
+        replaceCameraX(x) {
+            if (lastX === null) { lastX = x; return; } // First call only records where we started
+            const now = performance.now();
+            if (now - lastReplaceTime < replaceInterval) return;
+            if (Math.abs(x - lastX) < minimumXChange) return;
+            lastReplaceTime = now;
+            lastX = x;
+            history.replaceState(null, '', formatCameraHash(x));
+        },
+
+        dispose() {
+            window.removeEventListener('popstate', onPopState);
+        }
+    };
+}
+
+function createDetachedDeepLink() {
+    return {
+        readInitialState() { return null; },
+        pushHotspot() {},
+        pushCameraX() {},
+        replaceCameraX() {},
+        dispose() {}
+    };
+}
+
+export { parseSceneHash, createDeepLink, createDetachedDeepLink };
@@ -0,0 +1,56 @@
+// --- Hotspot Detail Card ---
+// Fills the #detail-card element from a hotspot's `detail` entry in scene.json:
+// { title, body (HTML), links: [{ label, href }], gallery: [{ src, alt }] }
+
+function createDetailCard(cardElement, onClose) {
+    const titleElement = cardElement.querySelector('.detail-card-title');
+    const bodyElement = cardElement.querySelector('.detail-card-body');
+    const linksElement = cardElement.querySelector('.detail-card-links');
+    const galleryElement = cardElement.querySelector('.detail-card-gallery');
+    const closeButton = cardElement.querySelector('.detail-card-close');
+
+    closeButton.addEventListener('click', () => onClose());
+
+    return {
+        show(detail) {
+            titleElement.textContent = detail.title;
+            bodyElement.innerHTML = detail.body; // Authored HTML from the manifest
+
+            linksElement.replaceChildren(...detail.links.map(link => {
+                const item = document.createElement('li');
+                const anchor = document.createElement('a');
+                anchor.href = link.href;
+                anchor.textContent = link.label;
+                anchor.target = '_blank';
+                anchor.rel = 'noopener';
+                item.appendChild(anchor);
+                return item;
+            }));
+            linksElement.hidden = detail.links.length === 0;
+
+            galleryElement.replaceChildren(...detail.gallery.map(image => {
+                const img = document.createElement('img');
+                img.src = image.src;
+                img.alt = image.alt || '';
+                img.loading = 'lazy';
+                return img;
+            }));
+            galleryElement.hidden = detail.gallery.length === 0;
+
+            cardElement.classList.add('visible');
+            cardElement.setAttribute('aria-hidden', 'false');
+            closeButton.focus({ preventScroll: true });
+        },
+
+        hide() {
+            cardElement.classList.remove('visible');
+            cardElement.setAttribute('aria-hidden', 'true');
+        },
+
+        isVisible() {
+            return cardElement.classList.contains('visible');
+        }
+    };
+}
+
+export { createDetailCard };
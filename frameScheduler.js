@@ -0,0 +1,82 @@
+// --- Frame Scheduler ---
+// Renders on demand instead of on every display refresh. `onFrame(delta)` draws one frame and
+// returns true while something is still changing (camera motion, a playing video, twinkle after input...),
+// which keeps frames coming; otherwise the loop idles until requestFrame() is called, e.g. on input.
+// Frames stop entirely while the tab is hidden or the canvas is scrolled offscreen.
+
+const resumeDelta = 1 / 60; // Delta reported for the first frame after idling
+const maxDelta = 0.1; // Long frames are clamped so motion doesn't jump
+
+function createFrameScheduler(canvasElement, onFrame) {
+    let frameId = null;
+    let lastTimestamp = null;
+    let started = false;
+    let pageHidden = document.hidden;
+    let offscreen = false;
+
+    function isSuspended() {
+        return !started || pageHidden || offscreen;
+    }
+
+    function cancel() {
+        if (frameId !== null) {
+            cancelAnimationFrame(frameId);
+            frameId = null;
+        }
+        lastTimestamp = null;
+    }
+
+    function requestFrame() {
+        if (frameId === null && !isSuspended()) {
+            frameId = requestAnimationFrame(frame);
+        }
+    }
+
+    function frame(timestamp) {
+        frameId = null;
+        const delta = lastTimestamp === null ? resumeDelta : Math.min((timestamp - lastTimestamp) / 1000, maxDelta);
+        lastTimestamp = timestamp;
+        if (onFrame(delta)) requestFrame();
+        if (frameId === null) lastTimestamp = null; // Going idle; the next frame starts fresh
+    }
+
+    function onVisibilityChange() {
+        pageHidden = document.hidden;
+        if (pageHidden) cancel();
+        else requestFrame();
+    }
+    document.addEventListener('visibilitychange', onVisibilityChange);
+
+    const intersectionObserver = new IntersectionObserver(entries => {
+        offscreen = !entries[entries.length - 1].isIntersecting;
+        if (offscreen) cancel();
+        else requestFrame();
+    });
+    intersectionObserver.observe(canvasElement);
+
+    return {
+        start() {
+            started = true;
+            requestFrame();
+        },
+
+        // Stops frames until start() is called again, e.g. while an embedding page pauses the scene
+        stop() {
+            started = false;
+            cancel();
+        },
+
+        requestFrame: requestFrame,
+
+        isSuspended: isSuspended,
+
+        dispose() {
+            started = false;
+            cancel();
+            document.removeEventListener('visibilitychange', onVisibilityChange);
+            intersectionObserver.disconnect();
+        }
+    };
+}
+
+export { createFrameScheduler };
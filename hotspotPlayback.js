@@ -0,0 +1,116 @@
+import * as THREE from 'three';
+
+// --- Hotspot Playback ---
+// Hotspot videos ease between two states instead of switching hard:
+//   active  - playing at full opacity (hovered, focused, or nearby with proximity auto-play)
+//   resting - faded down to `restOpacity`, and paused once the fade has finished
+// The hovered hotspot also fades in its rim outline (the `highlight` uniform in alphaVideoMaterial.js).
+// Meshes still on their GLTF placeholder material (no video frame yet) are left alone, and only videos
+// started here are paused here: one a timeline event started keeps playing until its stopVideo.
+
+const restOpacity = 0.7;
+const fadeRate = 6; // Higher = faster fades
+const settleThreshold = 0.005; // Close enough to the target to stop easing
+
+function ease(value, target, delta) {
+    const eased = THREE.MathUtils.damp(value, target, fadeRate, delta);
+    return Math.abs(eased - target) < settleThreshold ? target : eased;
+}
+
+// `canPlay(video)` says whether playback may start now (e.g. only muted videos before audio is unlocked).
+// `onPlay(mesh)` runs each time a paused video is started.
+function createHotspotPlayback(canPlay, onPlay = () => {}) {
+    const states = new Map(); // mesh -> { video, level, highlight, playRequested, startedHere }
+    const frustum = new THREE.Frustum();
+    const viewProjection = new THREE.Matrix4();
+    const cameraPosition = new THREE.Vector3();
+    const meshPosition = new THREE.Vector3();
+
+    function play(video) {
+        const playPromise = video.play();
+        if (playPromise !== undefined) {
+            playPromise.catch(error => {
+                if (error.name !== 'AbortError') {
+                    console.error(`Error playing video "${video.src}":`, error);
+                }
+            });
+        }
+    }
+
+    function stateFor(mesh, video) {
+        let state = states.get(mesh);
+        if (!state) {
+            state = { video: video, level: 0, highlight: 0, playRequested: false, startedHere: false };
+            states.set(mesh, state);
+        }
+        if (state.video !== video) {
+            // The mesh got another source (quality swap, fallback): start that one fresh
+            state.video = video;
+            state.playRequested = false;
+            state.startedHere = false;
+        }
+        return state;
+    }
+
+    return {
+        // The meshes within `distance` of the camera that are also in its view
+        findNearby(meshes, camera, distance) {
+            viewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+            frustum.setFromProjectionMatrix(viewProjection);
+            camera.getWorldPosition(cameraPosition);
+            return meshes.filter(mesh => frustum.intersectsObject(mesh) &&
+                mesh.getWorldPosition(meshPosition).distanceTo(cameraPosition) <= distance);
+        },
+
+        // Forget which videos were started, so the active ones play again (e.g. after the scene was paused)
+        reset() {
+            states.forEach(state => {
+                state.playRequested = false;
+                state.startedHere = false;
+            });
+        },
+
+        // `videos` maps mesh names to their players; `activeNames` is a Set of mesh names that should
+        // play; `highlightedName` gets the outline. Returns true while anything is still fading.
+        update(delta, meshes, videos, activeNames, highlightedName) {
+            let fading = false;
+            meshes.forEach(mesh => {
+                const video = videos[mesh.name];
+                if (!video) return;
+                const state = stateFor(mesh, video);
+                const active = activeNames.has(mesh.name);
+
+                if (active && !state.playRequested && canPlay(video)) {
+                    state.playRequested = true;
+                    if (video.paused) {
+                        play(video);
+                        state.startedHere = true;
+                        onPlay(mesh);
+                    }
+                } else if (!active) {
+                    state.playRequested = false;
+                }
+
+                const levelTarget = active ? 1 : 0;
+                const highlightTarget = mesh.name === highlightedName ? 1 : 0;
+                state.level = ease(state.level, levelTarget, delta);
+                state.highlight = ease(state.highlight, highlightTarget, delta);
+                if (state.level !== levelTarget || state.highlight !== highlightTarget) fading = true;
+                // Paused only once faded out, so leaving doesn't freeze the creature mid-fade
+                if (!active && state.level === 0 && state.startedHere) {
+                    state.startedHere = false;
+                    if (!video.paused) video.pause();
+                }
+
+                const uniforms = mesh.material.uniforms;
+                if (uniforms && uniforms.highlight) {
+                    uniforms.opacity.value = THREE.MathUtils.lerp(restOpacity, 1, state.level);
+                    uniforms.highlight.value = state.highlight;
+                }
+            });
+            return fading;
+        }
+    };
+}
+
+export { createHotspotPlayback };
@@ -0,0 +1,84 @@
+import { messages as en } from './locales/en.js';
+import { messages as de } from './locales/de.js';
+import { messages as ar } from './locales/ar.js';
+
+// --- Localisation ---
+// UI strings come from the per-locale bundles in locales/; hotspot text and narration come from
+// the manifest's per-hotspot "translations" (see sceneManifest.js). The locale is picked from
+// `?lang=` if that names a supported one, then from navigator.languages, then English.
+// Messages may hold {name} placeholders; numbers passed in are formatted for the locale, and a
+// message that is an object is chosen by Intl.PluralRules on `count`, e.g.
+//   t('media.pending', { count: 3 }) -> '3 files still loading'
+
+const bundles = { en: en, de: de, ar: ar };
+const defaultLocale = 'en';
+const rightToLeftLanguages = ['ar', 'fa', 'he', 'ur'];
+
+function languageOf(tag) {
+    return tag.toLowerCase().split('-')[0];
+}
+
+// The entry of `available` matching `tag` exactly, else one with the same language, else null
+function matchLocale(tag, available) {
+    if (!tag) return null;
+    const exact = available.find(candidate => candidate.toLowerCase() === tag.toLowerCase());
+    if (exact) return exact;
+    return available.find(candidate => languageOf(candidate) === languageOf(tag)) || null;
+}
+
+function resolveLocale() {
+    const override = new URLSearchParams(window.location.search).get('lang');
+    const requested = [override, ...(navigator.languages || [navigator.language])];
+    const available = Object.keys(bundles);
+    for (const tag of requested) {
+        const match = matchLocale(tag, available);
+        if (match) return match;
+    }
+    return defaultLocale;
+}
+
+// `requestedLocale` is matched against the bundles like resolveLocale() does, so 'de-AT' gets German
+// and an unknown or malformed tag gets English; `locale` on the result is the bundle's own tag.
+function createTranslator(requestedLocale) {
+    const locale = matchLocale(requestedLocale, Object.keys(bundles)) || defaultLocale;
+    const bundle = bundles[locale];
+    const pluralRules = new Intl.PluralRules(locale);
+    const numberFormat = new Intl.NumberFormat(locale);
+    const percentFormat = new Intl.NumberFormat(locale, { style: 'percent' });
+    const megabyteFormat = new Intl.NumberFormat(locale, {
+        style: 'unit', unit: 'megabyte', minimumFractionDigits: 1, maximumFractionDigits: 1
+    });
+
+    function t(key, params = {}) {
+        let message = bundle[key] !== undefined ? bundle[key] : bundles[defaultLocale][key];
+        if (message === undefined) {
+            console.warn(`No "${key}" message in any bundle.`);
+            return key;
+        }
+        if (typeof message === 'object') {
+            message = message[pluralRules.select(params.count)] || message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            if (!(name in params)) return placeholder;
+            const value = params[name];
+            return typeof value === 'number' ? numberFormat.format(value) : String(value);
+        });
+    }
+
+    return {
+        locale: locale,
+        dir: rightToLeftLanguages.includes(languageOf(locale)) ? 'rtl' : 'ltr',
+        t: t,
+
+        // 0..1 -> '42 %', '42%', '٤٢٪؜'...
+        formatPercent(fraction) {
+            return percentFormat.format(fraction);
+        },
+
+        formatMegabytes(bytes) {
+            return megabyteFormat.format(bytes / 1e6);
+        }
+    };
+}
+
+export { matchLocale, resolveLocale, createTranslator };
@@ -0,0 +1,69 @@
+// --- Load Progress ---
+// Byte-level progress across every asset, in two stages:
+//   'scene' - what's needed before the scene can be shown (the GLB); drives the loading overlay
+//   'media' - audio and the first frame of each hotspot video, streamed in after entering
+// Loader onProgress events give real byte counts. Until a response reports its size, and for
+// video (which streams through a <video> element with no byte events), an item counts as its
+// `estimatedBytes`; a hotspot source can set "bytes" in scene.json to make that exact.
+
+const defaultEstimatedBytes = 1.5e6;
+
+// `onUpdate(stage, summary)` runs on every change with { fraction, loadedBytes, totalBytes, pending }.
+function createLoadProgress(onUpdate) {
+    const items = [];
+
+    function summarize(stage) {
+        let loadedBytes = 0;
+        let totalBytes = 0;
+        let pending = 0;
+        items.forEach(item => {
+            if (item.stage !== stage) return;
+            const total = item.total > 0 ? item.total : item.estimatedBytes;
+            totalBytes += total;
+            loadedBytes += item.finished ? total : Math.min(item.loaded, total);
+            if (!item.finished) pending++;
+        });
+        return {
+            fraction: totalBytes > 0 ? loadedBytes / totalBytes : 1,
+            loadedBytes: loadedBytes,
+            totalBytes: totalBytes,
+            pending: pending
+        };
+    }
+
+    function changed(stage) {
+        onUpdate(stage, summarize(stage));
+    }
+
+    return {
+        // Register an asset. The returned handle is fed loader progress events and marked finished
+        // once the asset is usable (or has failed, so it stops holding the bar back).
+        add(label, stage, estimatedBytes = defaultEstimatedBytes) {
+            const item = { label: label, stage: stage, estimatedBytes: estimatedBytes, loaded: 0, total: 0, finished: false };
+            items.push(item);
+            changed(stage);
+            return {
+                onProgress(event) {
+                    if (item.finished) return;
+                    item.loaded = event.loaded;
+                    if (event.lengthComputable && event.total > 0) item.total = event.total;
+                    changed(stage);
+                },
+                // Replace the size guess once more is known (e.g. a video source's "bytes")
+                setEstimatedBytes(bytes) {
+                    item.estimatedBytes = bytes;
+                    changed(stage);
+                },
+                finish() {
+                    if (item.finished) return;
+                    item.finished = true;
+                    changed(stage);
+                }
+            };
+        },
+
+        summarize: summarize
+    };
+}
+
+export { createLoadProgress };
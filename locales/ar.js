@@ -0,0 +1,39 @@
+// --- Arabic Messages ---
+// Right-to-left: i18n.js reports dir 'rtl' for this locale, which flips the scene's overlays.
+
+const messages = {
+    'scene.label': 'مشهد الحشرات. استخدم مفتاح Tab أو مفاتيح الأسهم للتنقل بين الكائنات، وEnter لفتح التفاصيل، وEscape لإغلاقها.',
+    'loading.label': 'جارٍ التحميل',
+    'loading.progress': 'جارٍ التحميل... {percent}',
+    'loading.progressBytes': 'جارٍ التحميل... {percent} ({loaded} من {total})',
+    'loading.complete': 'اكتمل التحميل!',
+    'loading.enter': 'د خ و ل',
+    'loading.retry': 'أعد المحاولة',
+    'media.label': 'جارٍ تحميل الفيديو والصوت',
+    'media.pending': {
+        zero: 'لا توجد ملفات قيد التحميل',
+        one: 'ملف واحد قيد التحميل',
+        two: 'ملفان قيد التحميل',
+        few: '{count} ملفات قيد التحميل',
+        many: '{count} ملفًا قيد التحميل',
+        other: '{count} ملف قيد التحميل'
+    },
+    'error.manifest': 'تعذّر تحميل وصف المشهد.',
+    'error.model': 'تعذّر تحميل المشهد ثلاثي الأبعاد.',
+    'error.generic': 'حدث خطأ أثناء تحميل المشهد.',
+    'error.connection': 'يُرجى التحقق من اتصالك بالإنترنت.',
+    'audio.notReady': 'خطأ: الصوت غير جاهز',
+    'audio.error': 'خطأ في الصوت',
+    'audio.group': 'الصوت',
+    'audio.mute': 'كتم الصوت (M)',
+    'audio.unmute': 'إلغاء كتم الصوت (M)',
+    'audio.volume': 'مستوى الصوت',
+    'info.unavailable': 'لا تتوفر معلومات.',
+    'minimap.label': 'متصفح المشهد',
+    'minimap.goTo': 'انتقل إلى {title}',
+    'detail.close': 'إغلاق',
+    'fallback.notice': 'لا يستطيع متصفحك عرض المشهد ثلاثي الأبعاد، لذا إليك محتواه بدلًا من ذلك.',
+    'fallback.contentFailed': 'تعذّر تحميل محتوى المشهد أيضًا.'
+};
+
+export { messages };
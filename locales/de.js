@@ -0,0 +1,31 @@
+// --- German Messages ---
+
+const messages = {
+    'scene.label': 'Insektenszene. Mit Tab oder den Pfeiltasten zwischen den Tieren wechseln, mit Enter Details öffnen, mit Escape wieder schließen.',
+    'loading.label': 'Wird geladen',
+    'loading.progress': 'Wird geladen ... {percent}',
+    'loading.progressBytes': 'Wird geladen ... {percent} ({loaded} von {total})',
+    'loading.complete': 'Fertig geladen!',
+    'loading.enter': 'B E T R E T E N',
+    'loading.retry': 'Erneut versuchen',
+    'media.label': 'Videos und Ton werden geladen',
+    'media.pending': { one: 'Noch {count} Datei wird geladen', other: 'Noch {count} Dateien werden geladen' },
+    'error.manifest': 'Die Szenenbeschreibung konnte nicht geladen werden.',
+    'error.model': 'Die 3D-Szene konnte nicht geladen werden.',
+    'error.generic': 'Beim Laden der Szene ist etwas schiefgegangen.',
+    'error.connection': 'Bitte prüfe deine Internetverbindung.',
+    'audio.notReady': 'Fehler: Audio nicht bereit',
+    'audio.error': 'Audiofehler',
+    'audio.group': 'Audio',
+    'audio.mute': 'Ton aus (M)',
+    'audio.unmute': 'Ton an (M)',
+    'audio.volume': 'Lautstärke',
+    'info.unavailable': 'Keine Informationen verfügbar.',
+    'minimap.label': 'Szenennavigation',
+    'minimap.goTo': 'Zu {title}',
+    'detail.close': 'Schließen',
+    'fallback.notice': 'Dein Browser kann die 3D-Szene nicht anzeigen, deshalb siehst du hier ihren Inhalt.',
+    'fallback.contentFailed': 'Auch der Inhalt der Szene konnte nicht geladen werden.'
+};
+
+export { messages };
@@ -0,0 +1,33 @@
+// --- English Messages ---
+// The default bundle: every key lives here, and other locales fall back to it for missing ones.
+// Plural messages are objects keyed by Intl.PluralRules category; {name} placeholders are filled in by i18n.js.
+
+const messages = {
+    'scene.label': 'Insect scene. Use Tab or the arrow keys to move between creatures, Enter to open details, Escape to close them.',
+    'loading.label': 'Loading',
+    'loading.progress': 'Loading... {percent}',
+    'loading.progressBytes': 'Loading... {percent} ({loaded} of {total})',
+    'loading.complete': 'Loading complete!',
+    'loading.enter': 'E N T E R',
+    'loading.retry': 'Try again',
+    'media.label': 'Loading videos and sound',
+    'media.pending': { one: '{count} file still loading', other: '{count} files still loading' },
+    'error.manifest': 'The scene description could not be loaded.',
+    'error.model': 'The 3D scene could not be loaded.',
+    'error.generic': 'Something went wrong while loading the scene.',
+    'error.connection': 'Please check your connection.',
+    'audio.notReady': 'Error: Audio not ready',
+    'audio.error': 'Audio Error',
+    'audio.group': 'Audio',
+    'audio.mute': 'Mute audio (M)',
+    'audio.unmute': 'Unmute audio (M)',
+    'audio.volume': 'Volume',
+    'info.unavailable': 'Info not available.',
+    'minimap.label': 'Scene navigator',
+    'minimap.goTo': 'Go to {title}',
+    'detail.close': 'Close',
+    'fallback.notice': 'Your browser can\'t show the 3D scene, so here is its content instead.',
+    'fallback.contentFailed': 'The scene content could not be loaded either.'
+};
+
+export { messages };
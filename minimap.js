@@ -0,0 +1,67 @@
+// --- Minimap ---
+// A slim track along the bottom of the screen: the handle shows how far through the scroll range
+// the camera is, and each hotspot with a video gets a marker at its own place on that range.
+// Markers are buttons, so they work from the keyboard as well; choosing one calls `onSelect(mesh)`.
+// The markers follow the mesh list handed to update(), so they appear as videos finish loading.
+
+// `progressOf(mesh)` places a mesh on the 0..1 range; `labelOf(mesh)` names its marker, and
+// `describeMarker(label)` gives the button's accessible name.
+function createMinimap(containerElement, progressOf, labelOf, onSelect, describeMarker = (label) => `Go to ${label}`) {
+    const trackElement = containerElement.querySelector('.minimap-track');
+    const handleElement = containerElement.querySelector('.minimap-handle');
+    let markedMeshes = [];
+    let markers = [];
+    let activeMesh = null;
+
+    function buildMarkers(meshes) {
+        markers.forEach(marker => marker.remove());
+        markedMeshes = meshes.slice();
+        markers = markedMeshes.map(mesh => {
+            const marker = document.createElement('button');
+            marker.className = 'minimap-marker';
+            marker.style.left = `${progressOf(mesh) * 100}%`;
+            marker.title = labelOf(mesh);
+            marker.setAttribute('aria-label', describeMarker(labelOf(mesh)));
+            marker.addEventListener('click', () => onSelect(mesh));
+            trackElement.appendChild(marker);
+            return marker;
+        });
+        activeMesh = null;
+    }
+
+    function sameMeshes(meshes) {
+        return meshes.length === markedMeshes.length && meshes.every(mesh => markedMeshes.includes(mesh));
+    }
+
+    return {
+        show() {
+            containerElement.classList.add('visible');
+        },
+
+        // `progress` is the camera's 0..1 position; `hoveredMesh` (or null) gets its marker lit
+        update(progress, meshes, hoveredMesh) {
+            if (!sameMeshes(meshes)) buildMarkers(meshes);
+            handleElement.style.left = `${progress * 100}%`;
+            if (hoveredMesh !== activeMesh) {
+                activeMesh = hoveredMesh;
+                markers.forEach((marker, index) => marker.classList.toggle('active', markedMeshes[index] === activeMesh));
+            }
+        },
+
+        // Names the markers again, e.g. after a locale change
+        relabel() {
+            markers.forEach((marker, index) => {
+                marker.title = labelOf(markedMeshes[index]);
+                marker.setAttribute('aria-label', describeMarker(labelOf(markedMeshes[index])));
+            });
+        },
+
+        dispose() {
+            markers.forEach(marker => marker.remove());
+            markers = [];
+            markedMeshes = [];
+        }
+    };
+}
+
+export { createMinimap };
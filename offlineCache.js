@@ -0,0 +1,32 @@
+// --- Offline Cache ---
+// Page side of serviceWorker.js: registers it once the page has loaded, and tells it which video
+// files this browser ended up playing so those are kept for offline visits as well.
+
+const serviceWorkerUrl = import.meta.resolve('./serviceWorker.js'); // Next to this module, wherever the page is
+
+function isSupported() {
+    return 'serviceWorker' in navigator;
+}
+
+function registerServiceWorker() {
+    if (!isSupported()) return;
+    // After the load event, so precaching doesn't compete with the first visit's own downloads
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register(serviceWorkerUrl).catch(err => {
+            console.warn('Service worker registration failed; the scene will not be available offline.', err);
+        });
+    });
+}
+
+// `paths` are relative to the page, as in scene.json; empty entries are skipped.
+// An embedding page may have a service worker of its own; only this app's is sent the list.
+function cacheForOffline(paths) {
+    if (!isSupported()) return;
+    const urls = paths.filter(Boolean).map(path => new URL(path, document.baseURI).href);
+    navigator.serviceWorker.ready.then(registration => {
+        if (!registration.active || registration.active.scriptURL !== serviceWorkerUrl) return;
+        registration.active.postMessage({ type: 'cache-media', urls: urls });
+    });
+}
+
+export { registerServiceWorker, cacheForOffline };
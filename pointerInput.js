@@ -0,0 +1,140 @@
+// --- Pointer Input ---
+// One Pointer Events layer for mouse, pen and touch, plus the wheel:
+//   - hover:  a mouse/pen moving with no button down
+//   - tap:    press and release without moving past `dragThreshold`
+//   - drag:   one pointer moving past the threshold; locked to whichever axis it moved along first
+//   - pinch:  two touch pointers; reports the change in their spread as a scale factor
+//   - wheel:  plain wheel scrolls, ctrl+wheel (trackpad pinch) zooms
+// The element should have `touch-action: none` so the browser leaves these gestures to us.
+
+const dragThreshold = 8; // px before a press becomes a drag
+const wheelZoomSensitivity = 0.01;
+
+// `handlers` (all optional): onHover(x, y), onLeave(), onTap(x, y, pointerType),
+// onDragStart(pointerType), onDrag(delta, pointerType), onDragEnd(), onPinch(scale), onWheel(deltaY)
+function createPointerInput(element, handlers) {
+    const pointers = new Map(); // pointerId -> { pointerType, startX, startY, x, y }
+    let drag = null; // { pointerId, axis: 'x' | 'y' } once the primary pointer has moved far enough
+    let pinchDistance = null;
+
+    function call(name, ...args) {
+        if (handlers[name]) handlers[name](...args);
+    }
+
+    function spread() {
+        const [a, b] = [...pointers.values()];
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    function endDrag() {
+        if (!drag) return;
+        drag = null;
+        call('onDragEnd');
+    }
+
+    function onPointerDown(event) {
+        if (event.pointerType === 'mouse' && event.button !== 0) return;
+        element.setPointerCapture(event.pointerId);
+        pointers.set(event.pointerId, {
+            pointerType: event.pointerType,
+            startX: event.clientX, startY: event.clientY,
+            x: event.clientX, y: event.clientY
+        });
+        if (pointers.size === 2) {
+            // A second finger turns any drag into a pinch
+            endDrag();
+            pinchDistance = spread();
+        }
+    }
+
+    function onPointerMove(event) {
+        const pointer = pointers.get(event.pointerId);
+        if (!pointer) {
+            if (event.pointerType !== 'touch') call('onHover', event.clientX, event.clientY);
+            return;
+        }
+        const deltaX = event.clientX - pointer.x;
+        const deltaY = event.clientY - pointer.y;
+        pointer.x = event.clientX;
+        pointer.y = event.clientY;
+
+        if (pointers.size === 2) {
+            const distance = spread();
+            if (pinchDistance > 0 && distance > 0) call('onPinch', distance / pinchDistance);
+            pinchDistance = distance;
+            return;
+        }
+        if (pointers.size > 2) return;
+
+        if (pointer.pointerType !== 'touch') call('onHover', event.clientX, event.clientY);
+        if (!drag) {
+            const totalX = pointer.x - pointer.startX;
+            const totalY = pointer.y - pointer.startY;
+            if (Math.hypot(totalX, totalY) < dragThreshold) return;
+            drag = { pointerId: event.pointerId, axis: Math.abs(totalX) >= Math.abs(totalY) ? 'x' : 'y' };
+            call('onDragStart', pointer.pointerType);
+            call('onDrag', drag.axis === 'x' ? totalX : totalY, pointer.pointerType);
+            return;
+        }
+        call('onDrag', drag.axis === 'x' ? deltaX : deltaY, pointer.pointerType);
+    }
+
+    function onPointerUp(event) {
+        const pointer = pointers.get(event.pointerId);
+        if (!pointer) return;
+        pointers.delete(event.pointerId);
+        if (element.hasPointerCapture(event.pointerId)) element.releasePointerCapture(event.pointerId);
+
+        if (drag && drag.pointerId === event.pointerId) {
+            endDrag();
+        } else if (!drag && pinchDistance === null && event.type === 'pointerup') {
+            call('onTap', event.clientX, event.clientY, pointer.pointerType);
+        }
+        if (pointers.size === 0) {
+            pinchDistance = null;
+        } else {
+            // Leaving a pinch: the remaining finger starts a fresh drag (and won't count as a tap)
+            pointers.forEach(remaining => { remaining.startX = remaining.x; remaining.startY = remaining.y; });
+        }
+    }
+
+    function onPointerLeave(event) {
+        if (event.pointerType !== 'touch' && !pointers.has(event.pointerId)) call('onLeave');
+    }
+
+    function onWheel(event) {
+        if (event.ctrlKey) {
+            // Trackpad pinch arrives as ctrl+wheel; stop the browser zooming the page instead
+            event.preventDefault();
+            call('onPinch', Math.exp(-event.deltaY * wheelZoomSensitivity));
+            return;
+        }
+        call('onWheel', event.deltaY);
+    }
+
+    element.addEventListener('pointerdown', onPointerDown);
+    element.addEventListener('pointermove', onPointerMove);
+    element.addEventListener('pointerup', onPointerUp);
+    element.addEventListener('pointercancel', onPointerUp);
+    element.addEventListener('pointerleave', onPointerLeave);
+    element.addEventListener('wheel', onWheel, { passive: false });
+
+    return {
+        // True while a finger or button is held down and moving; momentum should wait until release
+        isDragging() {
+            return drag !== null;
+        },
+
+        dispose() {
+            element.removeEventListener('pointerdown', onPointerDown);
+            element.removeEventListener('pointermove', onPointerMove);
+            element.removeEventListener('pointerup', onPointerUp);
+            element.removeEventListener('pointercancel', onPointerUp);
+            element.removeEventListener('pointerleave', onPointerLeave);
+            element.removeEventListener('wheel', onWheel);
+            pointers.clear();
+        }
+    };
+}
+
+export { createPointerInput };
@@ -0,0 +1,258 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { BokehPass } from 'three/addons/postprocessing/BokehPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+
+// --- Post-Processing ---
+// EffectComposer pipeline around the scene render:
+//   - bloom: only objects on the bloom layer glow (hotspot videos, emissive materials). They're
+//     rendered on their own, everything else blacked out, and the blurred result is added on top
+//   - depthOfField: focuses on the hovered hotspot, easing in and out
+//   - vignette, grain: one cheap full-screen pass at the end
+// Every effect can be switched off on its own; with all of them off the scene is rendered directly.
+// `?effects=bloom,vignette` (or `?effects=none`) picks which are on; the quality tiers
+// (qualityGovernor.js) additionally switch the expensive ones off on slow devices.
+
+const effectNames = ['bloom', 'depthOfField', 'vignette', 'grain'];
+const bloomLayer = 1;
+const bloomSettings = { strength: 0.6, radius: 0.4, threshold: 0.05 };
+const dofAperture = 0.004; // Bokeh blur per unit of distance from the focus plane
+const dofMaxBlur = 0.008;
+const dofEaseRate = 6; // Higher = focus pulls faster
+const vignetteAmount = 0.35;
+const grainAmount = 0.025;
+
+const bloomMixShader = {
+    uniforms: {
+        baseTexture: { value: null },
+        bloomTexture: { value: null }
+    },
+    vertexShader: /* glsl */`
+        varying vec2 vUv;
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+    fragmentShader: /* glsl */`
+        uniform sampler2D baseTexture;
+        uniform sampler2D bloomTexture;
+        varying vec2 vUv;
+        void main() {
+            gl_FragColor = texture2D(baseTexture, vUv) + texture2D(bloomTexture, vUv);
+        }
+    `
+};
+
+const vignetteGrainShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        vignette: { value: vignetteAmount },
+        grain: { value: grainAmount },
+        time: { value: 0 }
+    },
+    vertexShader: bloomMixShader.vertexShader,
+    fragmentShader: /* glsl */`
+        uniform sampler2D tDiffuse;
+        uniform float vignette;
+        uniform float grain;
+        uniform float time;
+        varying vec2 vUv;
+
+        float random(vec2 p) {
+            return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+        }
+
+        void main() {
+            vec4 color = texture2D(tDiffuse, vUv);
+            color.rgb *= 1.0 - vignette * smoothstep(0.4, 0.85, distance(vUv, vec2(0.5)));
+            color.rgb += (random(vUv + fract(time)) - 0.5) * grain;
+            gl_FragColor = color;
+        }
+    `
+};
+
+// Effects named in ?effects=, or all of them
+function readEffectsParam() {
+    const param = new URLSearchParams(window.location.search).get('effects');
+    if (param === null) return effectNames.slice();
+    const requested = param.split(',').map(name => name.trim()).filter(name => name && name !== 'none');
+    const unknown = requested.filter(name => !effectNames.includes(name));
+    if (unknown.length > 0) {
+        console.warn(`Unknown ?effects= entries: ${unknown.join(', ')}; expected some of ${effectNames.join(', ')} or "none".`);
+    }
+    return requested.filter(name => effectNames.includes(name));
+}
+
+function createPostProcessing(renderer, scene, camera) {
+    const enabled = new Set(readEffectsParam()); // Switched on by the visitor (or ?effects=)
+    let allowed = new Set(effectNames); // Affordable on the current quality tier
+
+    // Bloom: its own composer, rendering only the bloom layer into an offscreen target
+    const bloomTest = new THREE.Layers();
+    bloomTest.set(bloomLayer);
+    const darkMaterial = new THREE.MeshBasicMaterial({ color: 0x000000 });
+    const darkenedMaterials = new Map();
+    const hiddenObjects = [];
+
+    const bloomComposer = new EffectComposer(renderer);
+    bloomComposer.renderToScreen = false;
+    bloomComposer.addPass(new RenderPass(scene, camera));
+    const bloomPass = new UnrealBloomPass(new THREE.Vector2(1, 1), bloomSettings.strength, bloomSettings.radius, bloomSettings.threshold);
+    bloomComposer.addPass(bloomPass);
+
+    // Final image: scene, bloom added on top, depth of field, vignette and grain
+    const finalComposer = new EffectComposer(renderer);
+    finalComposer.addPass(new RenderPass(scene, camera));
+    const bloomMixPass = new ShaderPass(new THREE.ShaderMaterial({
+        name: 'BloomMixMaterial',
+        uniforms: THREE.UniformsUtils.clone(bloomMixShader.uniforms),
+        vertexShader: bloomMixShader.vertexShader,
+        fragmentShader: bloomMixShader.fragmentShader
+    }), 'baseTexture');
+    bloomMixPass.material.uniforms.bloomTexture.value = bloomComposer.renderTarget2.texture;
+    finalComposer.addPass(bloomMixPass);
+    const bokehPass = new BokehPass(scene, camera, { focus: 10, aperture: 0, maxblur: dofMaxBlur });
+    finalComposer.addPass(bokehPass);
+    const vignetteGrainPass = new ShaderPass(vignetteGrainShader);
+    finalComposer.addPass(vignetteGrainPass);
+    const outputPass = new OutputPass();
+    finalComposer.addPass(outputPass);
+
+    // Depth of field eases towards the focus target, and out to no blur without one
+    let focusTarget = null;
+    let focusDistance = 10;
+    let aperture = 0;
+    const targetPosition = new THREE.Vector3();
+
+    function isActive(name) {
+        return enabled.has(name) && allowed.has(name);
+    }
+
+    function updateFocus(delta) {
+        let targetAperture = 0;
+        if (focusTarget && isActive('depthOfField')) {
+            focusTarget.getWorldPosition(targetPosition).applyMatrix4(camera.matrixWorldInverse);
+            const targetDistance = Math.max(-targetPosition.z, camera.near);
+            focusDistance = THREE.MathUtils.damp(focusDistance, targetDistance, dofEaseRate, delta);
+            targetAperture = dofAperture;
+        }
+        aperture = THREE.MathUtils.damp(aperture, targetAperture, dofEaseRate, delta);
+        if (Math.abs(aperture - targetAperture) < dofAperture * 0.01) aperture = targetAperture;
+        bokehPass.uniforms.focus.value = focusDistance;
+        bokehPass.uniforms.aperture.value = aperture;
+        return aperture !== targetAperture;
+    }
+
+    function darkenNonBloomed(object) {
+        if (object.isMesh && !bloomTest.test(object.layers)) {
+            darkenedMaterials.set(object, object.material);
+            object.material = darkMaterial;
+        } else if ((object.isPoints || object.isLine || object.isSprite) && object.visible) {
+            object.visible = false; // The starfield would otherwise bloom as well
+            hiddenObjects.push(object);
+        }
+    }
+
+    function restoreNonBloomed() {
+        darkenedMaterials.forEach((material, object) => { object.material = material; });
+        darkenedMaterials.clear();
+        hiddenObjects.forEach(object => { object.visible = true; });
+        hiddenObjects.length = 0;
+    }
+
+    function renderBloom() {
+        scene.traverse(darkenNonBloomed);
+        bloomComposer.render();
+        restoreNonBloomed();
+    }
+
+    return {
+        setEffectEnabled(name, on) {
+            if (!effectNames.includes(name)) return;
+            if (on) enabled.add(name);
+            else enabled.delete(name);
+        },
+
+        isEffectEnabled(name) {
+            return isActive(name);
+        },
+
+        // Effects the current quality tier can afford; the rest are off whatever the visitor chose
+        setAllowedEffects(names) {
+            allowed = new Set(names);
+        },
+
+        // The object depth of field focuses on, or null for a sharp image
+        setFocusTarget(object) {
+            focusTarget = object;
+        },
+
+        // Make an object (and its children) glow
+        addBloom(object) {
+            object.traverse(child => child.layers.enable(bloomLayer));
+        },
+
+        // Undo addBloom()
+        removeBloom(object) {
+            object.traverse(child => child.layers.disable(bloomLayer));
+        },
+
+        // Glow every mesh whose material emits light of its own
+        addEmissiveBloom(root) {
+            root.traverse(child => {
+                const material = child.material;
+                if (!child.isMesh || !material || !material.emissive) return;
+                if (material.emissiveMap || (material.emissive.getHex() !== 0 && material.emissiveIntensity > 0)) {
+                    child.layers.enable(bloomLayer);
+                }
+            });
+        },
+
+        // Follows the renderer's size and pixel ratio; call after either changes
+        updateSize() {
+            const size = renderer.getSize(new THREE.Vector2());
+            [bloomComposer, finalComposer].forEach(composer => {
+                composer.setPixelRatio(renderer.getPixelRatio());
+                composer.setSize(size.x, size.y);
+            });
+        },
+
+        // Renders one frame; returns true while the depth of field is still easing
+        render(delta) {
+            const focusing = updateFocus(delta);
+            if (!effectNames.some(isActive)) {
+                renderer.render(scene, camera);
+                return focusing;
+            }
+
+            // Count every pass of the frame in renderer.info (for the debug HUD), not just the last
+            renderer.info.autoReset = false;
+            renderer.info.reset();
+            const bloom = isActive('bloom');
+            if (bloom) renderBloom();
+            bloomMixPass.enabled = bloom;
+            bokehPass.enabled = aperture > 0;
+            vignetteGrainPass.enabled = isActive('vignette') || isActive('grain');
+            vignetteGrainPass.uniforms.vignette.value = isActive('vignette') ? vignetteAmount : 0;
+            vignetteGrainPass.uniforms.grain.value = isActive('grain') ? grainAmount : 0;
+            vignetteGrainPass.uniforms.time.value += delta; // Grain only moves while frames are being drawn
+            finalComposer.render(delta);
+            renderer.info.autoReset = true;
+            return focusing;
+        },
+
+        dispose() {
+            [bloomComposer, finalComposer].forEach(composer => {
+                composer.passes.forEach(pass => pass.dispose());
+                composer.dispose();
+            });
+            darkMaterial.dispose();
+        }
+    };
+}
+
+export { effectNames, createPostProcessing };
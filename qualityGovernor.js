@@ -0,0 +1,99 @@
+// --- Adaptive Quality ---
+// Samples frame time and steps between quality tiers: a window of slow frames drops a tier,
+// several seconds of fast frames climb back one. A tier that was dropped from again soon after
+// climbing into it becomes the ceiling, so the scene doesn't flip back and forth.
+// `?quality=<tier name>` pins a tier and turns the governor off.
+// Antialiasing is fixed when the renderer is created, so tiers don't touch it.
+
+// `effects` lists the post-processing effects a tier can afford (see postProcessing.js)
+const qualityTiers = [
+    { name: 'high', maxPixelRatio: 2, starFraction: 1, lowResVideo: false, twinkle: true, effects: ['bloom', 'depthOfField', 'vignette', 'grain'] },
+    { name: 'medium', maxPixelRatio: 1.5, starFraction: 0.5, lowResVideo: false, twinkle: true, effects: ['bloom', 'vignette', 'grain'] },
+    { name: 'low', maxPixelRatio: 1, starFraction: 0.25, lowResVideo: true, twinkle: false, effects: ['vignette'] },
+    { name: 'minimal', maxPixelRatio: 0.75, starFraction: 0.1, lowResVideo: true, twinkle: false, effects: [] }
+];
+
+const sampleWindow = 1; // seconds of frames averaged per decision
+const slowFrameTime = 1 / 40; // average above this drops a tier
+const fastFrameTime = 1 / 55; // average below this counts towards climbing a tier
+const climbDelay = 5; // seconds of fast windows before climbing
+const settleTime = 2; // seconds after a change before frames are judged again
+const relapseTime = 10; // dropping within this long after a climb caps the climb
+const hitchFrameTime = 0.25; // longer frames (tab switch, loading, GC) aren't counted
+
+// Start a tier down on devices that advertise little headroom
+function initialTierIndex() {
+    const fewCores = navigator.hardwareConcurrency && navigator.hardwareConcurrency <= 4;
+    const littleMemory = navigator.deviceMemory && navigator.deviceMemory <= 4;
+    return fewCores || littleMemory ? 1 : 0;
+}
+
+// `onTierChange(tier)` runs whenever the governor moves to a different tier.
+function createQualityGovernor(onTierChange) {
+    const pinnedName = new URLSearchParams(window.location.search).get('quality');
+    const pinnedIndex = qualityTiers.findIndex(tier => tier.name === pinnedName);
+    if (pinnedName && pinnedIndex < 0) {
+        console.warn(`Unknown ?quality=${pinnedName}; expected one of ${qualityTiers.map(tier => tier.name).join(', ')}.`);
+    }
+    const pinned = pinnedIndex >= 0;
+
+    let tierIndex = pinned ? pinnedIndex : initialTierIndex();
+    let ceilingIndex = 0; // Best tier the governor may climb to
+    let elapsed = 0;
+    let lastClimbAt = -Infinity;
+    let settleUntil = settleTime;
+    let windowTime = 0;
+    let windowFrames = 0;
+    let fastTime = 0;
+    let averageFrameTime = 0;
+
+    function setTier(index, reason) {
+        tierIndex = index;
+        settleUntil = elapsed + settleTime;
+        fastTime = 0;
+        console.log(`Quality tier: ${qualityTiers[index].name} (${reason}).`);
+        onTierChange(qualityTiers[index]);
+    }
+
+    console.log(`Quality tier: ${qualityTiers[tierIndex].name} (${pinned ? 'pinned by ?quality' : 'initial'}).`);
+
+    return {
+        getTier() {
+            return qualityTiers[tierIndex];
+        },
+
+        // Average frame time (seconds) over the last complete window
+        getAverageFrameTime() {
+            return averageFrameTime;
+        },
+
+        // Call once per frame with the frame's delta in seconds
+        sample(delta) {
+            if (delta > hitchFrameTime) return;
+            elapsed += delta;
+            windowTime += delta;
+            windowFrames++;
+            if (windowTime < sampleWindow) return;
+
+            averageFrameTime = windowTime / windowFrames;
+            windowTime = 0;
+            windowFrames = 0;
+            if (pinned || elapsed < settleUntil) return;
+
+            if (averageFrameTime > slowFrameTime && tierIndex < qualityTiers.length - 1) {
+                if (elapsed - lastClimbAt < relapseTime) ceilingIndex = tierIndex + 1;
+                setTier(tierIndex + 1, `${Math.round(1 / averageFrameTime)} fps`);
+            } else if (averageFrameTime < fastFrameTime && tierIndex > ceilingIndex) {
+                fastTime += sampleWindow;
+                if (fastTime >= climbDelay) {
+                    lastClimbAt = elapsed;
+                    setTier(tierIndex - 1, `${Math.round(1 / averageFrameTime)} fps`);
+                }
+            } else {
+                fastTime = 0;
+            }
+        }
+    };
+}
+
+export { qualityTiers, createQualityGovernor };
@@ -0,0 +1,74 @@
+// --- Resource Tracker ---
+// A scene instance registers everything it allocates here, so dispose() can release all of it
+// however far loading got:
+//   - three.js objects: an Object3D is walked when released, so children added after tracking are
+//     covered too; geometries, materials and their textures (ShaderMaterial uniforms included) go
+//   - anything else with a dispose() method (loaders, the frame scheduler, other modules' helpers)
+//   - teardown functions, for listeners, observers and timers that have no dispose() of their own
+// Resources are released in reverse order of tracking, so later ones can still use earlier ones.
+
+function disposeMaterial(material) {
+    Object.values(material).forEach(value => {
+        if (value && value.isTexture) value.dispose();
+    });
+    if (material.uniforms) {
+        Object.values(material.uniforms).forEach(uniform => {
+            if (uniform.value && uniform.value.isTexture) uniform.value.dispose();
+        });
+    }
+    material.dispose();
+}
+
+function disposeObject(root) {
+    root.traverse(object => {
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) {
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            materials.forEach(disposeMaterial);
+        }
+    });
+}
+
+function createResourceTracker() {
+    const resources = [];
+
+    return {
+        // Returns `resource`, so it can be tracked where it's created
+        track(resource) {
+            resources.push(resource);
+            return resource;
+        },
+
+        disposeAll() {
+            while (resources.length > 0) {
+                const resource = resources.pop();
+                try {
+                    if (typeof resource === 'function') resource();
+                    else if (resource.isObject3D) disposeObject(resource);
+                    else if (resource.isMaterial) disposeMaterial(resource);
+                    else resource.dispose();
+                } catch (e) {
+                    console.error('Error while releasing a scene resource:', e);
+                }
+            }
+        }
+    };
+}
+
+// Leak check for after disposeAll(): what the renderer still holds. All three counts should be zero;
+// anything left is a geometry, texture or material that was never tracked.
+function checkRendererLeaks(renderer) {
+    const report = {
+        geometries: renderer.info.memory.geometries,
+        textures: renderer.info.memory.textures,
+        programs: renderer.info.programs ? renderer.info.programs.length : 0
+    };
+    if (report.geometries + report.textures + report.programs > 0) {
+        console.warn(`Scene disposed with GPU resources left: ${report.geometries} geometries, ${report.textures} textures, ${report.programs} shader programs.`);
+    } else {
+        console.log('Scene disposed with no GPU resources left.');
+    }
+    return report;
+}
+
+export { createResourceTracker, checkRendererLeaks };
@@ -0,0 +1,1971 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/addons/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from 'three/addons/libs/meshopt_decoder.module.js';
+import { createLoadProgress } from './loadProgress.js';
+import { defaultSceneManifestPath, loadSceneManifest, localizeSceneManifest, localizeHotspot, normalizeHotspot, findMissingHotspotMeshes, validateTimeline } from './sceneManifest.js';
+import { networkFailure, createErrorReporter } from './assetErrors.js';
+import { cacheForOffline } from './offlineCache.js';
+import { selectVideoSource } from './sourceSelection.js';
+import { createAlphaVideoMaterial } from './alphaVideoMaterial.js';
+import { createHotspotPlayback } from './hotspotPlayback.js';
+import { createCameraFocus } from './cameraFocus.js';
+import { createDetailCard } from './detailCard.js';
+import { createDeepLink, createDetachedDeepLink } from './deepLink.js';
+import { createCameraPath } from './cameraPath.js';
+import { resolveTimelineConfig, createTimeline } from './timeline.js';
+import { createSceneAudio } from './spatialAudio.js';
+import { loadAudioPreference, createAudioControls } from './audioControls.js';
+import { createPointerInput } from './pointerInput.js';
+import { createStarfield } from './starfield.js';
+import { createMinimap } from './minimap.js';
+import { createPostProcessing } from './postProcessing.js';
+import { renderSceneTemplate, localizeSceneTemplate, clearSceneTemplate } from './sceneTemplate.js';
+import { createResourceTracker, checkRendererLeaks } from './resourceTracker.js';
+import { createTelemetry } from './telemetry.js';
+import { resolveLocale, createTranslator } from './i18n.js';
+import { createFrameScheduler } from './frameScheduler.js';
+import { createQualityGovernor } from './qualityGovernor.js';
+import { isDebugEnabled, createDebugHud } from './debugHud.js';
+import { prefersReducedMotion, onReducedMotionChange, createAnnouncer, createHotspotNavigator } from './accessibility.js';
+
+// --- Scene ---
+// The whole experience as an embeddable component. createScene(container, options) renders the
+// canvas and overlays into `container` (see sceneTemplate.js) and runs one independent scene in it,
+// so several can share a page; nothing is bound to fixed ids or to window-wide listeners.
+//
+// Options:
+//   manifest       - path of the scene manifest (default scene.json)
+//   deepLink       - mirror the view in the page's URL hash (default false; only one scene should own the URL)
+//   keyboardTarget - where WASD, M and Escape are listened for (default the container itself)
+//   autoInit       - start straight away (default true); with false, nothing happens until init()
+//   locale         - UI and hotspot language (default from ?lang= or navigator.languages; see i18n.js)
+//   telemetry      - { sink, consent, batchSize, flushInterval } for engagement events (see telemetry.js);
+//                    without a sink, or until consent is true (here or via setTelemetryConsent), nothing is recorded
+//
+// Events, dispatched on the container as CustomEvents:
+//   progress     - { stage, fraction, loadedBytes, totalBytes, pending }; stage 'scene' is the GLB, 'media' the audio and videos
+//   ready        - { hotspots }: everything needed to enter has loaded
+//   hotspotenter - { meshName, title }: a creature is hovered or selected from the keyboard
+//   hotspotleave - { meshName, title }
+//   error        - the assetErrors.js entry { asset, severity, transient, message, error }
+//
+// Returns { init(), dispose(), isInitialized(), goTo(meshName, { focus }), pause(), resume(), setMuted(muted),
+// setTelemetryConsent(granted), setLocale(locale) }.
+// dispose() releases every resource the instance created, listeners and the WebGL context included,
+// and returns a leak report from renderer.info ({ geometries, textures, programs }, all zero when
+// clean). init() builds the scene again afterwards, e.g. when a single-page app routes back to it.
+//
+// With ?edit in the page URL the scene also loads the authoring panel (sceneEditor.js) once the GLB is in.
+
+// --- Browser Detection ---
+// Video codec support is probed per source in sourceSelection.js rather than sniffed here.
+// Check for iOS specifically for touch handling, though this might capture iPadOS too
+const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent) && !window.MSStream;
+console.log(`Browser detection: ${isIOS ? 'iOS' : 'Not iOS'}`);
+
+// --- Video Element Helper ---
+function createVideoElement(videoPath) {
+    const video = document.createElement('video');
+    video.src = videoPath;
+    video.loop = true;
+    video.muted = true;
+    video.playsInline = true;
+    video.crossOrigin = 'anonymous';
+    video.preload = 'auto'; // Fetch the first frame up front so it can replace the placeholder
+    video.pause();
+    return video;
+}
+
+// Run `callback` once the video has a frame to show (right away if it already has one)
+function whenFirstFrame(video, callback) {
+    if (video.readyState >= video.HAVE_CURRENT_DATA) {
+        callback();
+    } else {
+        video.addEventListener('loadeddata', callback, { once: true });
+    }
+}
+
+function createVideoTexture(video) {
+    const videoTexture = new THREE.VideoTexture(video);
+    videoTexture.format = THREE.RGBAFormat; // Use RGBA for WebM alpha too
+    videoTexture.minFilter = THREE.LinearFilter;
+    videoTexture.magFilter = THREE.LinearFilter;
+    videoTexture.generateMipmaps = false;
+    videoTexture.flipY = false; // Match GLTF standard
+    return videoTexture;
+}
+
+// --- Masked Video Texture Helper (plain MP4 + separate alpha-mask video) ---
+// The mask video feeds the alpha video material's mask and follows the color video's play/pause/seek.
+function createMaskedVideoTexture(colorPath, maskPath) {
+    const video = createVideoElement(colorPath);
+    const maskVideo = createVideoElement(maskPath);
+
+    const syncMask = () => {
+        if (Math.abs(maskVideo.currentTime - video.currentTime) > 0.05) {
+            maskVideo.currentTime = video.currentTime;
+        }
+    };
+    video.addEventListener('play', () => {
+        syncMask();
+        maskVideo.play().catch(e => {
+            if (e.name !== 'AbortError') console.error(`Error playing mask video ${maskPath}:`, e);
+        });
+    });
+    video.addEventListener('pause', () => maskVideo.pause());
+    video.addEventListener('seeked', syncMask);
+    maskVideo.addEventListener('error', (e) => console.error(`Error loading mask video: ${maskPath}`, e));
+
+    const texture = createVideoTexture(video);
+    const alphaMap = createVideoTexture(maskVideo);
+
+    return {
+        texture: texture,
+        alphaMap: alphaMap,
+        video: video,
+        dispose: () => {
+            [video, maskVideo].forEach(v => {
+                v.pause();
+                v.removeAttribute('src');
+                v.load();
+            });
+            texture.dispose();
+            alphaMap.dispose();
+            console.log(`Disposed masked video resources for ${colorPath}`);
+        }
+    };
+}
+
+// --- Sprite Sheet Texture Helper (PNG fallback) ---
+// Steps texture offset through a grid of frames. The returned player mimics the bits of
+// HTMLVideoElement the hover logic uses (play/pause/paused/muted/src).
+function createSpriteSheetTexture(source, onTextureReady, onError) {
+    const columns = source.columns;
+    const rows = source.rows;
+    const frameCount = source.frameCount || columns * rows;
+    const frameDuration = 1 / (source.fps || 24);
+
+    const player = {
+        src: source.src,
+        muted: true,
+        paused: true,
+        play() { this.paused = false; return Promise.resolve(); },
+        pause() { this.paused = true; }
+    };
+
+    let texture = null;
+    let frame = 0;
+    let frameTime = 0;
+    let disposed = false;
+
+    function showFrame(index) {
+        texture.offset.set((index % columns) / columns, Math.floor(index / columns) / rows);
+        texture.updateMatrix(); // ShaderMaterial doesn't refresh texture transforms itself
+    }
+
+    // Called from the main frame loop with the frame's delta in seconds
+    function updateSpriteSheet(delta) {
+        if (!texture || player.paused) return;
+        frameTime += delta;
+        if (frameTime >= frameDuration) {
+            frame = (frame + Math.floor(frameTime / frameDuration)) % frameCount;
+            frameTime %= frameDuration;
+            showFrame(frame);
+        }
+    }
+
+    new THREE.TextureLoader().load(source.src, (loadedTexture) => {
+        if (disposed) { loadedTexture.dispose(); return; } // Swapped out before it finished loading
+        texture = loadedTexture;
+        texture.flipY = false; // Match GLTF standard, so row 0 is the top of the sheet
+        texture.minFilter = THREE.LinearFilter;
+        texture.magFilter = THREE.LinearFilter;
+        texture.generateMipmaps = false;
+        texture.repeat.set(1 / columns, 1 / rows);
+        showFrame(0);
+        if (onTextureReady) onTextureReady(texture, player);
+    }, undefined, (err) => {
+        console.error(`Error loading sprite sheet: ${source.src}`, err);
+        if (onError) onError(err);
+    });
+
+    return {
+        video: player,
+        update: updateSpriteSheet,
+        dispose: () => {
+            disposed = true;
+            if (texture) texture.dispose();
+            console.log(`Disposed sprite sheet resources for ${source.src}`);
+        }
+    };
+}
+
+// One running instance; createScene() wraps it with the init/dispose lifecycle.
+// `restart()` replaces it with a fresh one (the "Try again" button after a fatal load error).
+function mountScene(container, options, restart) {
+    // --- Options ---
+    const settings = {
+        manifest: defaultSceneManifestPath,
+        deepLink: false,
+        keyboardTarget: container,
+        ...options
+    };
+    let translator = createTranslator(settings.locale || resolveLocale()); // Replaced by setLocale()
+    const t = (key, params) => translator.t(key, params);
+
+    // --- Resource Tracking ---
+    // Everything this instance allocates is tracked as it's created, so dispose() releases it
+    // however far loading got (see resourceTracker.js). Async callbacks check `disposed`.
+    const resources = createResourceTracker();
+    let disposed = false;
+
+    // --- DOM Elements ---
+    // Rendered into the container; see sceneTemplate.js
+    const elements = renderSceneTemplate(container, translator);
+    resources.track(() => clearSceneTemplate(container));
+    const loadingOverlay = elements.loadingOverlay;
+    const loadingProgressElement = elements.loadingProgress;
+    const loadingBarElement = elements.loadingBar;
+    const mediaProgressElement = elements.mediaProgress;
+    const audioUnlockButton = elements.audioUnlockButton;
+    const loadRetryButton = elements.loadRetryButton;
+    const infoPanelElement = elements.infoPanel;
+    const detailCardElement = elements.detailCard;
+    const audioControlsElement = elements.audioControls;
+    const minimapElement = elements.minimap;
+    const focusRingElement = elements.focusRing;
+    const announcerElement = elements.announcer;
+    const debugHudElement = elements.debugHud;
+
+    // --- Component Events ---
+    // Events go out on the container; listeners added to anything outside it are tracked so
+    // dispose() can take them off again.
+
+    function emit(type, detail) {
+        if (disposed) return; // Late callbacks from a disposed instance stay quiet
+        container.dispatchEvent(new CustomEvent(type, { detail: detail }));
+    }
+
+    function listen(target, type, handler, listenerOptions) {
+        target.addEventListener(type, handler, listenerOptions);
+        resources.track(() => target.removeEventListener(type, handler, listenerOptions));
+    }
+
+    // hotspotenter/hotspotleave follow the creature under the pointer (or the keyboard selection)
+    let eventHotspotName = null;
+
+    function hotspotEventDetail(meshName) {
+        return { meshName: meshName, title: hotspotsByMesh[meshName].detail.title };
+    }
+
+    function emitHotspotChange(meshName) {
+        if (meshName === eventHotspotName) return;
+        if (eventHotspotName) {
+            emit('hotspotleave', hotspotEventDetail(eventHotspotName));
+            recordHotspotDwell();
+        }
+        eventHotspotName = meshName;
+        hotspotEnterTime = performance.now();
+        if (meshName) emit('hotspotenter', hotspotEventDetail(meshName));
+    }
+
+    // --- Telemetry Setup ---
+    // Engagement events for the host's analytics (see telemetry.js): load timings, the unlock button,
+    // hotspot dwell, scroll depth, video plays and errors. All of it is dropped without a sink or consent.
+    const telemetry = resources.track(createTelemetry(settings.telemetry));
+    const scrollDepthMilestones = [25, 50, 75, 100]; // Percent of the scroll range covered
+    let scrollRangeSeen = null; // { min, max } scroll progress visited so far
+    let scrollDepthReported = 0;
+    let hotspotEnterTime = 0;
+    let unlockOfferedTime = null;
+    const videoPlayCounts = {};
+
+    function recordHotspotDwell() {
+        telemetry.record('hotspot-dwell', { meshName: eventHotspotName, ms: Math.round(performance.now() - hotspotEnterTime) });
+    }
+    // A hover still in progress at dispose() counts too
+    resources.track(() => { if (eventHotspotName) recordHotspotDwell(); });
+
+    function recordScrollDepth(progress) {
+        if (!scrollRangeSeen) {
+            scrollRangeSeen = { min: progress, max: progress };
+            return;
+        }
+        scrollRangeSeen.min = Math.min(scrollRangeSeen.min, progress);
+        scrollRangeSeen.max = Math.max(scrollRangeSeen.max, progress);
+        const coverage = Math.round((scrollRangeSeen.max - scrollRangeSeen.min) * 100);
+        scrollDepthMilestones.forEach(milestone => {
+            if (coverage < milestone || scrollDepthReported >= milestone) return;
+            scrollDepthReported = milestone;
+            telemetry.record('scroll-depth', { percent: milestone });
+        });
+    }
+
+    function recordVideoPlay(mesh) {
+        videoPlayCounts[mesh.name] = (videoPlayCounts[mesh.name] || 0) + 1;
+        telemetry.record('video-play', { meshName: mesh.name, count: videoPlayCounts[mesh.name] });
+    }
+
+    // --- Basic Setup ---
+    const canvas = elements.canvas;
+    let viewWidth = Math.max(1, container.clientWidth); // The container's size, kept current by onResize()
+    let viewHeight = Math.max(1, container.clientHeight);
+    const renderer = new THREE.WebGLRenderer({
+        antialias: true,
+        canvas: canvas,
+        alpha: true // Enable alpha for transparency
+    });
+    renderer.setSize(viewWidth, viewHeight);
+    // Pixel ratio is set by the current quality tier (see Adaptive Quality Setup)
+    // renderer.outputColorSpace = THREE.SRGBColorSpace; // Often needed, uncomment if colors look wrong
+
+    const scene = resources.track(new THREE.Scene());
+    // scene.background = new THREE.Color(0); // Using starfield instead
+
+    // --- Loading Manager ---
+    const loadingManager = new THREE.LoadingManager();
+    let loadFailed = false; // Set once a required asset fails so onLoad doesn't offer "E N T E R"
+
+    // --- Error Handling ---
+    // Failures are classified and retried in assetErrors.js; fatal ones end up on the overlay
+    // with a "Try again" button, degraded ones (a video, a sound) are only logged.
+    const fatalErrorMessages = {
+        manifest: 'error.manifest',
+        model: 'error.model'
+    };
+    const errorReporter = createErrorReporter({
+        onFatal: (entry) => { showFatalError(entry); announceError(entry); },
+        onDegraded: announceError
+    });
+    resources.track(errorReporter);
+
+    // Every classified failure goes to the embedding page and to telemetry
+    function announceError(entry) {
+        emit('error', entry);
+        telemetry.record('error', { asset: entry.asset, severity: entry.severity, transient: entry.transient, message: entry.message });
+    }
+
+    function showFatalError(entry) {
+        loadFailed = true;
+        let message = t(fatalErrorMessages[entry.asset] || 'error.generic');
+        if (entry.transient) message += ' ' + t('error.connection');
+        loadingProgressElement.textContent = message;
+        loadingProgressElement.style.display = 'block';
+        loadingBarElement.style.display = 'none';
+        audioUnlockButton.style.display = 'none';
+        loadRetryButton.hidden = false;
+        loadingOverlay.classList.remove('hidden');
+    }
+
+    // Only this scene is rebuilt; an embedding page keeps its own state
+    loadRetryButton.addEventListener('click', () => restart());
+
+    let loadStartTime = null;
+
+    loadingManager.onStart = function ( url, itemsLoaded, itemsTotal ) {
+        if (loadStartTime === null) loadStartTime = performance.now(); // onStart fires again for a retried request
+        console.log( `Started loading file: ${url}.\nLoaded ${itemsLoaded} of ${itemsTotal} files.` );
+        loadingProgressElement.textContent = t('loading.progress', { percent: translator.formatPercent(0) }); // Reset progress text
+        audioUnlockButton.style.display = 'none'; // Ensure button is hidden during loading
+    };
+
+    loadingManager.onLoad = function ( ) {
+        if (loadFailed || disposed) return; // Keep the error message on screen
+        if (errorReporter.hasPendingRetries()) return; // A failed request is waiting to retry; onLoad fires again after it
+        console.log( 'Loading complete!');
+        emit('ready', { hotspots: Object.keys(hotspotMeshesByName) });
+        telemetry.record('load-complete', { ms: Math.round(performance.now() - loadStartTime) });
+        loadingProgressElement.textContent = t('loading.complete');
+        const enterTimer = setTimeout(() => {
+            loadingProgressElement.style.display = 'none';
+            loadingBarElement.style.display = 'none';
+            if (audioPreference.muted) {
+                // Visitor chose silence last time: no need to unlock audio, go straight in
+                console.log("Silent mode remembered; skipping the audio unlock.");
+                startExperience();
+            } else {
+                audioUnlockButton.style.display = 'block';
+                unlockOfferedTime = performance.now();
+                telemetry.record('unlock-offered');
+            }
+        }, 500);
+        resources.track(() => clearTimeout(enterTimer));
+    };
+
+    // Progress text comes from loadProgress (bytes); loadingManager.onProgress (file counts) only times each file
+    loadingManager.onProgress = function ( url ) {
+        telemetry.record('load-item', { url: url, ms: Math.round(performance.now() - loadStartTime) });
+    };
+
+    // --- Byte Progress ---
+    // The overlay follows the 'scene' stage (the GLB); the thin bar at the top follows the 'media'
+    // stage (audio and first video frames) that streams in once the scene is showing.
+    const loadProgress = createLoadProgress(function (stage, summary) {
+        emit('progress', { stage: stage, ...summary });
+        const percent = Math.round(summary.fraction * 100);
+        if (stage === 'scene') {
+            if (loadFailed) return;
+            loadingProgressElement.textContent = t('loading.progressBytes', {
+                percent: translator.formatPercent(summary.fraction),
+                loaded: translator.formatMegabytes(summary.loadedBytes),
+                total: translator.formatMegabytes(summary.totalBytes)
+            });
+            loadingBarElement.firstElementChild.style.width = `${percent}%`;
+            loadingBarElement.setAttribute('aria-valuenow', String(percent));
+        } else {
+            mediaProgressElement.classList.toggle('visible', summary.pending > 0);
+            mediaProgressElement.firstElementChild.style.width = `${percent}%`;
+            mediaProgressElement.setAttribute('aria-valuenow', String(percent));
+            mediaProgressElement.setAttribute('aria-valuetext', t('media.pending', { count: summary.pending }));
+        }
+    });
+
+    loadingManager.onError = function ( url ) {
+        // Reported (and possibly retried) by the loader's own error callback; see Error Handling
+        console.warn( 'There was an error loading ' + url );
+    };
+
+
+    // --- Lights ---
+    const ambientLight = new THREE.AmbientLight(0xffffff, 0.9);
+    scene.add(ambientLight);
+    const directionalLight = new THREE.DirectionalLight(0xffffff, 1.0);
+    directionalLight.position.set(5, 10, 7.5).normalize();
+    scene.add(directionalLight);
+
+    // --- Starry Background ---
+    // Layered shader starfield (see starfield.js); twinkle and shimmer run on the GPU
+    const starCount = 50000;
+    const starfield = createStarfield(starCount);
+    scene.add(starfield.object);
+
+    // Twinkle and pointer shimmer are off on low quality tiers and with reduced motion.
+    // Twinkle alone only keeps frames coming for a while after the last input or other motion;
+    // then the stars hold still so the loop can idle, and carry on from there on the next frame.
+    const twinkleIdleTimeout = 10000; // ms
+    let lastActivityTime = performance.now();
+    let starTime = 0; // Advances only on rendered frames, so idling doesn't make the twinkle jump
+    function refreshStarTwinkle() {
+        starfield.setTwinkle(qualityTier.twinkle && !prefersReducedMotion());
+    }
+
+    function refreshStarPointScale() {
+        starfield.setPointScale(renderer.getDrawingBufferSize(new THREE.Vector2()).y);
+    }
+
+
+    // --- GLTF Loading ---
+    // Draco/Meshopt geometry and KTX2 textures are decoded if the GLB uses them; the decoders
+    // are only fetched from the three.js CDN (resolved through the import map) when needed.
+    const dracoLoader = resources.track(new DRACOLoader().setDecoderPath(import.meta.resolve('three/addons/libs/draco/gltf/')));
+    const ktx2Loader = resources.track(new KTX2Loader().setTranscoderPath(import.meta.resolve('three/addons/libs/basis/')).detectSupport(renderer));
+    const loader = new GLTFLoader(loadingManager);
+    loader.setDRACOLoader(dracoLoader);
+    loader.setKTX2Loader(ktx2Loader);
+    loader.setMeshoptDecoder(MeshoptDecoder);
+    const modelFileLoader = new THREE.FileLoader(loadingManager).setResponseType('arraybuffer');
+
+    // GLTFLoader.load() split in two, so a failed request (worth retrying) is told apart from a GLB
+    // that won't parse (not worth it); both would otherwise arrive as the same kind of error
+    function loadGltf(url, onLoad, onProgress, onError) {
+        loadingManager.itemStart(url); // Held until parsed, as GLTFLoader.load() does, so onLoad can't fire early
+        const fail = (error) => {
+            onError(error);
+            loadingManager.itemError(url);
+            loadingManager.itemEnd(url);
+        };
+        modelFileLoader.load(url, (data) => {
+            try {
+                loader.parse(data, THREE.LoaderUtils.extractUrlBase(url), (gltf) => {
+                    onLoad(gltf);
+                    loadingManager.itemEnd(url);
+                }, fail);
+            } catch (error) {
+                fail(error);
+            }
+        }, onProgress, (error) => fail(networkFailure(error)));
+    }
+    let importedCamera;
+    let postProcessing = null; // Bloom, depth of field, vignette and grain; created once the camera is known
+
+    // --- Scene Manifest ---
+    // Model, camera, audio and hotspots (video sources, info text, behaviours) all live in scene.json
+    const sceneManifestPath = settings.manifest;
+    let sceneManifest = null;
+    const hotspotsByMesh = {}; // Manifest hotspot entries keyed by mesh name, localized
+    const unlocalizedHotspots = {}; // The same before localization, for setLocale()
+
+    // Store video/texture objects
+    const textureObjects = {}; // Helper-created textures (masked, sprite sheet) with their own dispose() and optional update(delta)
+    const videoElements = {}; // Store all video elements by mesh name
+    const videoMeshes = []; // Store meshes that have videos applied
+    const hotspotMeshesByName = {}; // Every hotspot mesh found in the GLB, whether or not its video is ready
+
+    // Helper textures and video elements belong to no material until their first frame, so they're released on their own
+    resources.track(() => {
+        Object.values(textureObjects).forEach(obj => obj.dispose());
+        Object.values(videoElements).forEach(video => {
+            if (!(video instanceof HTMLVideoElement)) return; // Sprite sheet and still players have nothing to release
+            video.pause();
+            video.removeAttribute('src');
+            video.load();
+        });
+    });
+
+    // --- Hotspot Playback Setup ---
+    // Hover, focus and (if scene.json turns it on) proximity decide which videos play; they fade
+    // rather than cut (see hotspotPlayback.js). Before audio is unlocked only muted videos may start.
+    const hotspotPlayback = createHotspotPlayback(video => audioContextResumed || video.muted, recordVideoPlay);
+
+    // --- Adaptive Quality Setup ---
+    // Frame time picks the tier (see qualityGovernor.js); tiers set pixel ratio, star count,
+    // twinkle and whether hotspots play their "lowResSrc"
+    const selectedSources = {}; // Negotiated source per hotspot mesh, before any low-res swap
+    let qualityTier = null;
+    const qualityGovernor = createQualityGovernor(applyQualityTier);
+    applyQualityTier(qualityGovernor.getTier());
+    const debugHud = isDebugEnabled() ? createDebugHud(debugHudElement) : null;
+
+    function applyQualityTier(tier) {
+        const previousTier = qualityTier;
+        qualityTier = tier;
+        renderer.setPixelRatio(Math.min(window.devicePixelRatio, tier.maxPixelRatio));
+        refreshStarPointScale();
+        starfield.setVisibleFraction(tier.starFraction);
+        refreshStarTwinkle();
+        if (postProcessing) {
+            postProcessing.setAllowedEffects(tier.effects);
+            postProcessing.updateSize();
+        }
+
+        if (previousTier && previousTier.lowResVideo !== tier.lowResVideo) {
+            Object.entries(selectedSources).forEach(([meshName, source]) => {
+                if (!source.lowResSrc) return;
+                const child = hotspotMeshesByName[meshName];
+                releaseVideoSource(child);
+                applyVideoSource(child, sourceForQuality(source));
+            });
+        }
+    }
+
+    function sourceForQuality(source) {
+        return qualityTier.lowResVideo && source.lowResSrc ? { ...source, src: source.lowResSrc } : source;
+    }
+
+    // --- Info Panel Setup ---
+    let infoPanelOffset = null; // From scene.json ("infoPanelOffset"); dragged into place in the ?edit mode
+
+    // --- Raycasting Setup ---
+    const raycaster = new THREE.Raycaster();
+    const mouse = new THREE.Vector2(-2, -2); // Initialize off-screen
+
+    // --- Frame Scheduler Setup ---
+    // animate() runs only while something is changing; input and media events ask for more frames
+    const frameScheduler = resources.track(createFrameScheduler(canvas, animate));
+    const onInputActivity = () => {
+        lastActivityTime = performance.now();
+        frameScheduler.requestFrame();
+    };
+    ['pointermove', 'pointerdown', 'pointerup', 'pointerout', 'wheel'].forEach(type => {
+        listen(container, type, onInputActivity, { passive: true });
+    });
+    ['keydown', 'keyup'].forEach(type => {
+        listen(settings.keyboardTarget, type, onInputActivity, { passive: true });
+    });
+
+    // --- Movement Setup ---
+    const clock = new THREE.Clock(); // Wall-clock time for timed info panels; frame deltas come from the scheduler
+    const moveSpeed = 3.0;
+    const scrollSensitivity = 0.01;
+    const dragScrollSensitivity = 0.01; // Per pixel of drag/swipe
+    const scrollDamping = 0.75;
+
+    // ** Clamping Bounds **
+    // From scene.json's "cameraBounds" for the straight slide; replaced by the path's bounding box when it declares a cameraPath
+    let minCameraX = 0; let maxCameraX = 0;
+    let minCameraZ = 0; let maxCameraZ = 0;
+
+    function setCameraBounds(bounds) {
+        minCameraX = bounds.min.x; maxCameraX = bounds.max.x;
+        minCameraZ = bounds.min.z; maxCameraZ = bounds.max.z;
+        if (isCameraLoaded && !cameraPath) clampCameraPosition(importedCamera.position);
+        frameScheduler.requestFrame();
+    }
+
+    // --- Camera Path Setup ---
+    let cameraPath = null; // Spline from the GLB; null means the straight slide along the camera's right vector
+    let pathProgress = 0; // 0..1 along cameraPath
+
+    // How far through the scene the camera is, 0..1, whichever way it moves
+    function getScrollProgress() {
+        if (cameraPath) return pathProgress;
+        return THREE.MathUtils.clamp((importedCamera.position.x - minCameraX) / (maxCameraX - minCameraX), 0, 1);
+    }
+
+    // --- Scroll Timeline Setup ---
+    // Scroll progress scrubs GLB animation clips and fires keyframed events (see timeline.js)
+    let timeline = null;
+    let timelineInfo = null; // { meshName, until } while a timeline event pins an info panel to a creature
+    const timelineInfoDefaultDuration = 4; // seconds
+    const timelineHandlers = {
+        playVideo: (event) => {
+            const video = videoElements[event.target];
+            if (!video) { console.warn(`Timeline playVideo: no video for "${event.target}".`); return; }
+            video.play().catch(e => {
+                if (e.name !== 'AbortError') console.error(`Error playing video "${video.src}" from timeline:`, e);
+            });
+        },
+        stopVideo: (event) => {
+            const video = videoElements[event.target];
+            if (video) video.pause();
+        },
+        fadeAudio: (event) => {
+            if (sceneAudio) sceneAudio.fadeBed(event.volume, event.duration !== undefined ? event.duration : 1);
+        },
+        showInfo: (event) => {
+            timelineInfo = { meshName: event.target, until: clock.getElapsedTime() + (event.duration || timelineInfoDefaultDuration) };
+        },
+        hideInfo: () => { timelineInfo = null; }
+    };
+
+    const keyStates = { W: false, A: false, S: false, D: false };
+    let scrollVelocityX = 0;
+    let isCameraLoaded = false;
+    let sceneReady = false;
+    let paused = false; // Set by pause() until resume()
+
+    function clampCameraPosition(position) {
+        position.x = Math.max(minCameraX, Math.min(maxCameraX, position.x));
+        position.z = Math.max(minCameraZ, Math.min(maxCameraZ, position.z));
+        return position;
+    }
+
+    // --- Hotspot Focus Setup ---
+    // Clicking a hotspot flies the camera to it and opens its detail card; movement input is suspended meanwhile.
+    let cameraFocus = null; // Created once the camera is known
+    let focusedMeshName = null;
+    const detailCard = createDetailCard(detailCardElement, () => unfocusHotspot());
+
+    // --- Deep Linking Setup ---
+    // Only a scene that owns the page should write to its URL (see the deepLink option)
+    const deepLink = resources.track(settings.deepLink ? createDeepLink(state => applyLinkState(state)) : createDetachedDeepLink());
+
+    // --- Audio Setup ---
+    let listener;
+    let sceneAudio = null; // Ambient layers + per-creature positional sounds (see spatialAudio.js)
+    let audioContextResumed = false;
+    let pausedForVisibility = false;
+
+    // --- Audio Controls Setup ---
+    // Mute/volume preference is applied through the listener's master volume and persisted in localStorage
+    let audioPreference = loadAudioPreference();
+    const audioControls = createAudioControls(audioControlsElement, audioPreference, applyAudioPreference,
+        { mute: t('audio.mute'), unmute: t('audio.unmute') });
+
+    // --- Accessibility Setup ---
+    // Keyboard selection stands in for mouse hover; the live region mirrors what the info panel shows.
+    const hotspotNavigator = createHotspotNavigator(focusRingElement);
+    const announcer = createAnnouncer(announcerElement);
+    let cameraGlide = null; // { progress } or { x }: where the camera is easing to (keyboard selection, minimap)
+    const cameraGlideSmoothing = 4; // Higher = faster glide (per second)
+
+    // With prefers-reduced-motion: no star twinkle, instant focus flights, and wheel/swipe move in
+    // discrete steps instead of building momentum.
+    let reducedMotion = prefersReducedMotion();
+    const reducedMotionSteps = 20; // The scroll range is split into this many steps
+    const reducedMotionStepDelta = 100; // Accumulated wheel/swipe pixels per step
+    let reducedMotionScrollDelta = 0;
+
+    resources.track(onReducedMotionChange(matches => {
+        reducedMotion = matches;
+        scrollVelocityX = 0;
+        reducedMotionScrollDelta = 0;
+        if (cameraFocus) cameraFocus.setFlyDuration(matches ? 0 : undefined);
+        refreshStarTwinkle();
+        frameScheduler.requestFrame();
+        console.log(`Reduced motion ${matches ? 'enabled' : 'disabled'}.`);
+    }));
+
+    // --- Zoom Setup ---
+    const minZoom = 1; const maxZoom = 2.5;
+    let zoomLevel = 1;
+    let baseCameraFov = 50; // Replaced by the loaded camera's own FOV
+
+    // --- Event Listeners ---
+    // Keyboard Listeners (on the container unless the keyboardTarget option says otherwise)
+    listen(settings.keyboardTarget, 'keydown', (event) => {
+        if (event.code === 'Escape' && focusedMeshName) { unfocusHotspot(); return; }
+        if (event.code === 'KeyM' && sceneReady && !event.repeat) { audioControls.toggleMuted(); return; }
+        if (event.target === canvas && onCanvasNavigationKey(event)) return;
+        if (['KeyW', 'KeyA', 'KeyS', 'KeyD'].includes(event.code)) { event.preventDefault(); }
+        switch (event.code) {
+            case 'KeyW': keyStates.W = true; break; case 'KeyA': keyStates.A = true; break;
+            case 'KeyS': keyStates.S = true; break; case 'KeyD': keyStates.D = true; break;
+        }
+    });
+    listen(settings.keyboardTarget, 'keyup', (event) => {
+        switch (event.code) {
+            case 'KeyW': keyStates.W = false; break; case 'KeyA': keyStates.A = false; break;
+            case 'KeyS': keyStates.S = false; break; case 'KeyD': keyStates.D = false; break;
+        }
+    });
+
+    // Hotspot navigation while the canvas has keyboard focus. Returns true if the key was handled.
+    // Tab/Shift+Tab step through hotspots and leave the canvas past either end; arrows wrap around.
+    function onCanvasNavigationKey(event) {
+        if (!sceneReady || focusedMeshName) return false;
+        switch (event.key) {
+            case 'Tab':
+                if (event.shiftKey ? hotspotNavigator.previous() : hotspotNavigator.next()) {
+                    event.preventDefault();
+                    onKeyboardSelection();
+                } else {
+                    hotspotNavigator.clear(); // Let focus move on to the rest of the page
+                }
+                return true;
+            case 'ArrowRight': case 'ArrowDown':
+            case 'ArrowLeft': case 'ArrowUp':
+                event.preventDefault();
+                hotspotNavigator.cycle(event.key === 'ArrowRight' || event.key === 'ArrowDown' ? 1 : -1);
+                onKeyboardSelection();
+                return true;
+            case 'Enter': case ' ': {
+                const mesh = hotspotNavigator.getSelected();
+                if (!mesh) return false;
+                event.preventDefault();
+                if (hotspotsByMesh[mesh.name].behaviours.focusOnClick) focusHotspot(mesh);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Announce the newly selected hotspot and glide the camera to it if it's out of view
+    function onKeyboardSelection() {
+        const mesh = hotspotNavigator.getSelected();
+        if (!mesh || !isCameraLoaded) return;
+        const hotspot = hotspotsByMesh[mesh.name];
+        announcer.announce(hotspot.info ? `${hotspot.detail.title}. ${hotspot.info}` : hotspot.detail.title);
+
+        importedCamera.updateMatrixWorld();
+        const frustum = new THREE.Frustum().setFromProjectionMatrix(
+            new THREE.Matrix4().multiplyMatrices(importedCamera.projectionMatrix, importedCamera.matrixWorldInverse));
+        if (frustum.intersectsObject(mesh)) return;
+
+        scrollVelocityX = 0;
+        cameraGlide = cameraGlideTargetFor(mesh);
+        if (reducedMotion) updateCameraGlide(Infinity);
+    }
+
+    // Where the camera stops to show `mesh`: { progress } along the path, or { x } on the straight slide
+    function cameraGlideTargetFor(mesh) {
+        const meshPosition = mesh.getWorldPosition(new THREE.Vector3());
+        if (cameraPath) return { progress: cameraPath.progressNearestTo(meshPosition) };
+        const parentPosition = importedCamera.parent ? importedCamera.parent.worldToLocal(meshPosition) : meshPosition;
+        return { x: THREE.MathUtils.clamp(parentPosition.x, minCameraX, maxCameraX) };
+    }
+
+    // The same target as scroll progress, 0..1 (see getScrollProgress())
+    function cameraGlideTargetProgress(target) {
+        if (target.progress !== undefined) return target.progress;
+        return (target.x - minCameraX) / (maxCameraX - minCameraX);
+    }
+
+    // Ease the camera towards cameraGlide; an infinite delta jumps straight there
+    function updateCameraGlide(delta) {
+        const t = Math.min(1, delta * cameraGlideSmoothing);
+        if (cameraPath) {
+            pathProgress += (cameraGlide.progress - pathProgress) * t;
+            if (Math.abs(cameraGlide.progress - pathProgress) < 0.0005) {
+                pathProgress = cameraGlide.progress;
+                cameraGlide = null;
+            }
+            cameraPath.applyToCamera(pathProgress);
+        } else {
+            importedCamera.position.x += (cameraGlide.x - importedCamera.position.x) * t;
+            if (Math.abs(cameraGlide.x - importedCamera.position.x) < 0.01) {
+                importedCamera.position.x = cameraGlide.x;
+                cameraGlide = null;
+            }
+            clampCameraPosition(importedCamera.position);
+        }
+    }
+
+    // Drop the keyboard selection when focus leaves the canvas, unless it went to the detail card
+    canvas.addEventListener('blur', () => {
+        if (!focusedMeshName) hotspotNavigator.clear();
+    });
+
+    // Reduced motion: move one fixed step per `reducedMotionStepDelta` of accumulated input
+    function addReducedMotionScroll(deltaY) {
+        reducedMotionScrollDelta += deltaY;
+        if (Math.abs(reducedMotionScrollDelta) < reducedMotionStepDelta) return;
+        const direction = Math.sign(reducedMotionScrollDelta);
+        reducedMotionScrollDelta = 0;
+        if (cameraPath) {
+            pathProgress = THREE.MathUtils.clamp(pathProgress + direction / reducedMotionSteps, 0, 1);
+            cameraPath.applyToCamera(pathProgress);
+        } else {
+            const forward = importedCamera.getWorldDirection(new THREE.Vector3());
+            const right = new THREE.Vector3().crossVectors(importedCamera.up, forward).normalize().negate();
+            importedCamera.position.addScaledVector(right, direction * (maxCameraX - minCameraX) / reducedMotionSteps);
+            clampCameraPosition(importedCamera.position);
+        }
+    }
+
+    // --- Pointer Input (mouse, pen, touch and wheel; see pointerInput.js) ---
+    let currentMouseX = 0; let currentMouseY = 0;
+    let touchSelectedMeshName = null; // Touch has no hover: the first tap on a creature selects it
+
+    // Pointer input arrives in client coordinates; the scene works in the canvas's own space
+    function toCanvasPoint(clientX, clientY) {
+        const rect = canvas.getBoundingClientRect();
+        return { x: clientX - rect.left, y: clientY - rect.top };
+    }
+
+    function setPointerPosition(clientX, clientY) {
+        const point = toCanvasPoint(clientX, clientY);
+        currentMouseX = point.x; currentMouseY = point.y;
+        mouse.x = (point.x / viewWidth) * 2 - 1;
+        mouse.y = - (point.y / viewHeight) * 2 + 1;
+    }
+
+    function clearPointerPosition() {
+        mouse.set(-2, -2); // Off-screen, so nothing is hovered
+        touchSelectedMeshName = null;
+    }
+
+    // The nearest mesh among `objects` (and their descendants if `recursive`) under a client point
+    function pickMeshAt(clientX, clientY, objects, recursive = false) {
+        const canvasPoint = toCanvasPoint(clientX, clientY);
+        const point = new THREE.Vector2(
+            (canvasPoint.x / viewWidth) * 2 - 1,
+            - (canvasPoint.y / viewHeight) * 2 + 1
+        );
+        raycaster.setFromCamera(point, importedCamera);
+        const hit = raycaster.intersectObjects(objects, recursive).find(intersect => intersect.object.isMesh);
+        return hit ? hit.object : null;
+    }
+
+    function pickHotspotAt(clientX, clientY) {
+        if (videoMeshes.length === 0) return null;
+        return pickMeshAt(clientX, clientY, videoMeshes);
+    }
+
+    // Mouse/pen click focuses a hotspot straight away. On touch the first tap acts as hover
+    // (video plays, info panel shows) and a second tap on the same creature focuses it.
+    function onPointerTap(clientX, clientY, pointerType) {
+        if (editor) {
+            // ?edit: a click picks any mesh of the GLB for the editor instead
+            if (!isEditorOverview()) editor.selectMesh(modelRoot ? pickMeshAt(clientX, clientY, [modelRoot], true) : null);
+            return;
+        }
+        if (!isCameraLoaded || !sceneReady) return;
+        const mesh = pickHotspotAt(clientX, clientY);
+        if (pointerType === 'touch') {
+            const alreadySelected = mesh !== null && mesh.name === touchSelectedMeshName;
+            if (!mesh) { clearPointerPosition(); return; }
+            setPointerPosition(clientX, clientY);
+            touchSelectedMeshName = mesh.name;
+            if (!alreadySelected) return;
+        }
+        if (!mesh) return;
+        const hotspot = hotspotsByMesh[mesh.name];
+        if (hotspot && hotspot.behaviours.focusOnClick && mesh.name !== focusedMeshName) {
+            focusHotspot(mesh);
+        }
+    }
+
+    // Wheel and drag both feed scrollVelocityX (or discrete steps with reduced motion)
+    function addScrollInput(pixels, sensitivity) {
+        if (!isCameraLoaded || !sceneReady || isFocusActive() || isEditorOverview()) return;
+        cameraGlide = null;
+        if (reducedMotion) { addReducedMotionScroll(pixels); return; }
+        scrollVelocityX += pixels * sensitivity;
+    }
+
+    // Pinch zoom narrows the camera's field of view between minZoom and maxZoom
+    function applyZoom(scale) {
+        if (!isCameraLoaded || !sceneReady || isFocusActive() || isEditorOverview()) return;
+        const nextZoom = THREE.MathUtils.clamp(zoomLevel * scale, minZoom, maxZoom);
+        if (nextZoom === zoomLevel) return;
+        zoomLevel = nextZoom;
+        importedCamera.fov = baseCameraFov / zoomLevel;
+        importedCamera.updateProjectionMatrix();
+    }
+
+    const pointerInput = resources.track(createPointerInput(canvas, {
+        onHover: (x, y) => { if (!isEditorOverview()) setPointerPosition(x, y); },
+        onLeave: () => clearPointerPosition(),
+        onTap: onPointerTap,
+        onDragStart: (pointerType) => {
+            if (pointerType === 'touch') clearPointerPosition(); // Panning moves the scene out from under the tap
+        },
+        // Dragging grabs the scene: drag right/down moves the camera left, as a swipe always did
+        onDrag: (delta) => addScrollInput(-delta, dragScrollSensitivity),
+        onPinch: applyZoom,
+        onWheel: (deltaY) => addScrollInput(deltaY, scrollSensitivity)
+    }));
+
+
+    // Audio Unlock Button Listener
+    audioUnlockButton.addEventListener('click', () => {
+        if (!listener) {
+            console.error("Audio Listener not initialized yet.");
+            audioUnlockButton.textContent = t('audio.notReady');
+            return;
+        }
+        resumeAudio((error) => {
+            if (error) audioUnlockButton.textContent = t('audio.error');
+            startExperience(); // Still start even if audio fails
+        });
+        audioUnlockButton.classList.add('hidden');
+    });
+
+    // Resume the AudioContext (must be called from a user gesture) and start scene audio.
+    // onSettled receives an error if resuming failed.
+    function resumeAudio(onSettled) {
+        if (listener.context.state === 'suspended') {
+            listener.context.resume().then(() => {
+                console.log("AudioContext resumed successfully.");
+                audioContextResumed = true;
+                startSceneAudio();
+                onSettled(null);
+            }).catch(e => {
+                 console.error("Error resuming AudioContext:", e);
+                 onSettled(e);
+            });
+        } else if (listener.context.state === 'running') {
+             console.log("AudioContext already running.");
+             audioContextResumed = true;
+             startSceneAudio();
+             onSettled(null);
+        } else {
+            console.warn("AudioContext in unexpected state:", listener.context.state);
+            onSettled(new Error(`AudioContext state: ${listener.context.state}`));
+        }
+    }
+
+    function applyAudioPreference(preference) {
+        audioPreference = preference;
+        if (!listener) return;
+        listener.setMasterVolume(preference.muted ? 0 : preference.volume);
+        // Unmuting after a silent start: this click/keypress is the gesture the AudioContext needs
+        if (!preference.muted && !audioContextResumed && sceneReady) {
+            resumeAudio(() => {});
+        }
+    }
+
+    // Pause all audio while the tab is hidden, resume when it comes back
+    listen(document, 'visibilitychange', () => {
+        if (!listener || !audioContextResumed) return;
+        if (document.hidden) {
+            if (listener.context.state === 'running') {
+                pausedForVisibility = true;
+                listener.context.suspend();
+            }
+        } else if (pausedForVisibility) {
+            pausedForVisibility = false;
+            listener.context.resume().catch(e => console.error("Error resuming AudioContext after tab became visible:", e));
+        }
+    });
+
+    // Function to hide overlay and start animation loop
+    function startExperience() {
+        if (!sceneReady) {
+             loadingOverlay.classList.add('hidden');
+             sceneReady = true;
+             // How long the "E N T E R" button waited tells whether it loses visitors (0 when skipped)
+             telemetry.record('experience-start', {
+                 audio: audioContextResumed ? 'on' : 'off',
+                 locale: translator.locale,
+                 waitMs: unlockOfferedTime === null ? 0 : Math.round(performance.now() - unlockOfferedTime)
+             });
+             audioControls.show();
+             minimap.show();
+             if (isCameraLoaded) {
+                 clock.start();
+                 const initialLinkState = deepLink.readInitialState();
+                 if (initialLinkState) applyLinkState(initialLinkState);
+                 if (!paused) frameScheduler.start(); // Start the animation loop
+             } else {
+                 errorReporter.report('model', null, 'Camera not loaded, cannot start animation loop.');
+             }
+        }
+    }
+
+    // --- Minimap Setup ---
+    // Camera progress and a marker per video hotspot, placed from the GLB (see minimap.js)
+    const minimap = resources.track(createMinimap(minimapElement,
+        mesh => cameraGlideTargetProgress(cameraGlideTargetFor(mesh)),
+        mesh => hotspotsByMesh[mesh.name].detail.title,
+        glideToHotspot,
+        title => t('minimap.goTo', { title: title })));
+
+    // Minimap marker chosen: leave any focused creature first, then glide along the scroll range
+    function glideToHotspot(mesh) {
+        unfocusHotspot(false, () => {
+            scrollVelocityX = 0;
+            cameraGlide = cameraGlideTargetFor(mesh);
+            if (reducedMotion) updateCameraGlide(Infinity);
+            frameScheduler.requestFrame();
+        });
+    }
+
+    // --- Hotspot Focus ---
+    function isFocusActive() {
+        return cameraFocus !== null && cameraFocus.isActive();
+    }
+
+    // fromHistory: the URL already reflects this change (initial link or back/forward), so don't push
+    function focusHotspot(mesh, fromHistory = false) {
+        if (!cameraFocus || cameraFocus.isReturning()) return; // The way back finishes first; see cameraFocus.js
+        if (!fromHistory) deepLink.pushHotspot(mesh.name);
+        telemetry.record('hotspot-focus', { meshName: mesh.name, fromLink: fromHistory });
+        focusedMeshName = mesh.name;
+        scrollVelocityX = 0;
+        cameraGlide = null;
+        Object.keys(keyStates).forEach(key => { keyStates[key] = false; });
+        cameraFocus.focus(mesh);
+        detailCard.show(hotspotsByMesh[mesh.name].detail);
+        if (sceneAudio) sceneAudio.playNarration(mesh.name);
+        console.log(`Focused hotspot: ${mesh.name}`);
+    }
+
+    function unfocusHotspot(fromHistory = false, onReturn = null) {
+        if (!focusedMeshName) {
+            if (onReturn) onReturn();
+            return;
+        }
+        console.log(`Leaving hotspot: ${focusedMeshName}`);
+        focusedMeshName = null;
+        detailCard.hide();
+        if (sceneAudio) sceneAudio.stopNarration();
+        cameraFocus.release(() => {
+            if (!fromHistory) deepLink.pushCameraX(importedCamera.position.x);
+            if (onReturn) onReturn();
+        });
+        // Opened from the keyboard: hand focus back to the canvas so navigation carries on
+        if (hotspotNavigator.getSelected()) canvas.focus();
+    }
+
+    // Apply a parsed URL hash: { meshName } focuses a hotspot, { x } moves the camera, null returns to free movement
+    function applyLinkState(state) {
+        if (!isCameraLoaded || !sceneReady) return;
+        frameScheduler.requestFrame();
+        if (state && state.meshName) {
+            const mesh = hotspotMeshesByName[state.meshName];
+            if (mesh) {
+                focusHotspot(mesh, true);
+            } else {
+                console.warn(`Deep link to unknown hotspot "${state.meshName}" ignored.`);
+            }
+        } else if (state && state.x !== undefined) {
+            unfocusHotspot(true, () => {
+                if (cameraPath) {
+                    pathProgress = cameraPath.progressForX(state.x);
+                    cameraPath.applyToCamera(pathProgress);
+                } else {
+                    importedCamera.position.x = state.x;
+                    clampCameraPosition(importedCamera.position);
+                }
+                scrollVelocityX = 0;
+            });
+        } else {
+            unfocusHotspot(true);
+        }
+    }
+
+    // Function to start ambient and creature sounds
+    function startSceneAudio() {
+        if (sceneAudio && audioContextResumed && !paused && !sceneAudio.isStarted()) {
+            try {
+                sceneAudio.start();
+                console.log("Scene audio playing.");
+            } catch (e) {
+                console.error("Error trying to start scene audio:", e);
+            }
+        }
+    }
+
+    // --- Apply a Negotiated Video Source to a Hotspot Mesh ---
+    // The mesh keeps its GLTF material as a placeholder until the first frame arrives.
+    // `onFirstFrame` runs once: then, on error, or when the browser declines to preload (iOS),
+    // so loading progress never waits on a video that won't arrive until it's played.
+    function applyVideoSource(child, source, onFirstFrame = () => {}) {
+        const meshName = child.name;
+        const videoPath = source.src;
+        let firstFrameReported = false;
+        const reportFirstFrame = () => {
+            if (firstFrameReported) return;
+            firstFrameReported = true;
+            onFirstFrame();
+        };
+        const giveUp = () => {
+            reportFirstFrame();
+            applyVideoFallback(child);
+        };
+        const reportIfNotPreloading = (video) => {
+            video.addEventListener('suspend', () => {
+                if (video.readyState < video.HAVE_CURRENT_DATA) reportFirstFrame();
+            });
+        };
+
+        if (source.kind === 'sprite-sheet') {
+            // --- Sprite Sheet Path (PNG grid, no video decode at all) ---
+            const textureObj = createSpriteSheetTexture(source, (texture, player) => {
+                videoElements[meshName] = player;
+                videoMeshes.push(child);
+                applyVideoMaterial(child, texture, 'embedded');
+                reportFirstFrame();
+            }, (err) => {
+                errorReporter.report('video', err, `Sprite sheet for "${meshName}" failed (${source.src}); showing a fallback.`);
+                giveUp();
+            });
+            textureObjects[meshName] = textureObj;
+        } else if (source.kind === 'mp4-alpha-mask') {
+            // --- Masked Video Path (opaque MP4 + separate mask video) ---
+            const textureObj = createMaskedVideoTexture(videoPath, source.mask);
+            videoElements[meshName] = textureObj.video;
+            videoMeshes.push(child);
+            textureObjects[meshName] = textureObj;
+            whenFirstFrame(textureObj.video, () => {
+                applyVideoMaterial(child, textureObj.texture, 'mask', textureObj.alphaMap);
+                reportFirstFrame();
+            });
+            reportIfNotPreloading(textureObj.video);
+            watchVideoErrors(child, textureObj.video, giveUp);
+        } else {
+            // --- Standard VideoTexture Path (WebM VP9 alpha, HEVC alpha, AV1, stacked color-over-alpha MP4) ---
+            // The alpha shader samples the video directly, so no browser needs a per-frame canvas copy
+            const video = createVideoElement(videoPath);
+            videoElements[meshName] = video;
+            videoMeshes.push(child);
+            const layout = source.kind === 'mp4-stacked-alpha' ? (source.layout || 'top-bottom') : 'embedded';
+            whenFirstFrame(video, () => {
+                applyVideoMaterial(child, createVideoTexture(video), layout);
+                reportFirstFrame();
+            });
+            reportIfNotPreloading(video);
+            watchVideoErrors(child, video, giveUp);
+        }
+    }
+
+    // Undo applyVideoSource() so another source (e.g. a quality tier's lowResSrc) can take over the mesh
+    function releaseVideoSource(child) {
+        const meshName = child.name;
+        const video = videoElements[meshName];
+        if (textureObjects[meshName]) {
+            textureObjects[meshName].dispose();
+            delete textureObjects[meshName];
+        } else {
+            if (video instanceof HTMLVideoElement) {
+                video.pause();
+                video.removeAttribute('src');
+                video.load();
+            }
+            // Still on the placeholder material if the first frame never arrived
+            if (child.material.uniforms) child.material.uniforms.map.value.dispose();
+        }
+        delete videoElements[meshName];
+        const index = videoMeshes.indexOf(child);
+        if (index >= 0) videoMeshes.splice(index, 1);
+    }
+
+    // Retry a hotspot video after transient network errors; `onGiveUp` runs once it has failed for good
+    function watchVideoErrors(child, video, onGiveUp) {
+        let attemptNumber = 1;
+        video.addEventListener('error', () => {
+            if (!video.getAttribute('src')) return; // Released on purpose
+            const retrying = errorReporter.retryLater(`Video "${video.src}"`, video.error, attemptNumber, () => {
+                attemptNumber++;
+                video.load();
+            });
+            if (retrying) return;
+            errorReporter.report('video', video.error, `Video for "${child.name}" failed (${video.src}); showing a fallback.`);
+            onGiveUp();
+        });
+    }
+
+    // --- Video Fallback ---
+    // A hotspot whose video failed for good stays hoverable (info panel, detail card) through a still
+    // "player". It shows the manifest's poster if there is one; otherwise the placeholder, or the last
+    // frame that played, stays on the mesh.
+    function createStillPlayer(src) {
+        return {
+            src: src,
+            muted: true,
+            paused: true,
+            play() { return Promise.resolve(); },
+            pause() {}
+        };
+    }
+
+    function applyVideoFallback(child) {
+        const meshName = child.name;
+        const poster = hotspotsByMesh[meshName].poster;
+        const failedVideo = videoElements[meshName];
+        if (failedVideo) {
+            failedVideo.pause();
+            // A helper texture lets go of its own video in releaseVideoSource(); a plain one is released here
+            if (!textureObjects[meshName] && failedVideo instanceof HTMLVideoElement) {
+                failedVideo.removeAttribute('src');
+                failedVideo.load();
+            }
+        }
+        videoElements[meshName] = createStillPlayer(poster || '');
+        if (!videoMeshes.includes(child)) videoMeshes.push(child);
+        if (!poster) return;
+
+        new THREE.TextureLoader().load(poster, (texture) => {
+            texture.flipY = false; // Match GLTF standard
+            releaseVideoSource(child);
+            videoElements[meshName] = createStillPlayer(poster);
+            videoMeshes.push(child);
+            applyVideoMaterial(child, texture, 'embedded');
+        }, undefined, (err) => {
+            errorReporter.report('video', err, `Poster "${poster}" for "${meshName}" could not be loaded either.`);
+        });
+    }
+
+    // Replace the mesh's GLTF material with the alpha video shader; transparency is composited on the GPU
+    function applyVideoMaterial(child, videoTexture, layout, alphaMap = null) {
+        if (disposed) { // A first frame or poster that arrived after dispose()
+            videoTexture.dispose();
+            return;
+        }
+        if (editMode && !child.material.uniforms && !originalMaterials[child.name]) {
+            originalMaterials[child.name] = child.material; // The GLB's own, for when the editor turns the hotspot back
+        } else {
+            const previousMaterials = Array.isArray(child.material) ? child.material : [child.material];
+            previousMaterials.forEach(material => { if (material) material.dispose(); });
+        }
+        child.material = createAlphaVideoMaterial(videoTexture, layout, alphaMap);
+        postProcessing.addBloom(child); // The creatures glow
+        frameScheduler.requestFrame();
+    }
+
+    // Negotiate a hotspot's video source and apply it; counts towards the 'media' progress stage until
+    // its first frame is showing
+    function loadHotspotVideo(child) {
+        const videoProgress = loadProgress.add(`${child.name} video`, 'media');
+        const sources = hotspotsByMesh[child.name].sources;
+        // Sources still being typed in the editor have no src yet
+        selectVideoSource(child.name, sources.filter(source => source.src)).then(source => {
+            if (disposed) return;
+            if (!hotspotsByMesh[child.name] || hotspotsByMesh[child.name].sources !== sources) {
+                videoProgress.finish(); // Changed in the editor meanwhile
+                return;
+            }
+            if (!source) {
+                console.warn(`No playable video source found for mesh: ${child.name}. Skipping.`);
+                videoProgress.finish();
+                if (editor) applyVideoFallback(child); // Keeps a new hotspot hoverable while its video is chosen
+                return;
+            }
+            if (source.bytes) videoProgress.setEstimatedBytes(source.bytes);
+            selectedSources[child.name] = source;
+            cacheForOffline([source.src, source.mask, source.lowResSrc]);
+            applyVideoSource(child, sourceForQuality(source), () => videoProgress.finish());
+        });
+    }
+
+    // --- Edit Mode (?edit) ---
+    // sceneEditor.js is only fetched when the page asks for it. It edits a copy of scene.json as written;
+    // the functions below apply each edit to this running scene, so changes preview live.
+    const editMode = new URLSearchParams(window.location.search).has('edit');
+    let editor = null;
+    let rawSceneManifest = null; // scene.json before normalizing, for the editor to export
+    let modelRoot = null; // The GLB's scene, whose meshes the editor can pick
+    const originalMaterials = {}; // Edit mode: the GLB material of each mesh given a video, by mesh name
+    resources.track(() => {
+        Object.values(originalMaterials).flat().forEach(material => material.dispose());
+    });
+
+    function isEditorOverview() {
+        return editor !== null && editor.isOverview();
+    }
+
+    function startEditor() {
+        import('./sceneEditor.js').then(({ createSceneEditor }) => {
+            if (disposed) return;
+            editor = resources.track(createSceneEditor(container, {
+                scene: scene,
+                modelRoot: modelRoot,
+                camera: importedCamera,
+                canvas: canvas,
+                infoPanel: infoPanelElement,
+                manifest: rawSceneManifest,
+                cameraBounds: { min: { x: minCameraX, z: minCameraZ }, max: { x: maxCameraX, z: maxCameraZ } },
+                cameraBoundsFromPath: cameraPath !== null,
+                infoPanelOffset: infoPanelOffset,
+                get isRightToLeft() { return isRightToLeft; }
+            }, {
+                onHotspotChange: setEditedHotspot,
+                onCameraBoundsChange: setCameraBounds,
+                onInfoPanelOffsetChange: (offset) => {
+                    infoPanelOffset = offset;
+                    frameScheduler.requestFrame();
+                },
+                onPreviewDetail: (mesh) => {
+                    if (sceneReady && hotspotsByMesh[mesh.name]) focusHotspot(mesh);
+                },
+                onViewChange: () => {
+                    clearPointerPosition();
+                    frameScheduler.requestFrame();
+                },
+                requestFrame: () => frameScheduler.requestFrame()
+            }));
+            editor.resize(viewWidth, viewHeight);
+            console.log('Edit mode: click a mesh to edit it.');
+        }).catch((err) => {
+            console.error('The scene editor could not be loaded:', err);
+        });
+    }
+
+    // `rawHotspot` is the hotspot as written in scene.json, or null to make `mesh` a plain mesh again.
+    // The video is only reloaded when the sources changed.
+    function setEditedHotspot(mesh, rawHotspot) {
+        const previous = hotspotsByMesh[mesh.name] || null;
+        if (rawHotspot) {
+            const hotspot = normalizeHotspot(rawHotspot);
+            const sourcesChanged = !previous || JSON.stringify(previous.sources) !== JSON.stringify(hotspot.sources);
+            if (!sourcesChanged) hotspot.sources = previous.sources; // Keeps a source negotiation in flight current
+            unlocalizedHotspots[mesh.name] = hotspot;
+            hotspotsByMesh[mesh.name] = hotspot;
+            hotspotMeshesByName[mesh.name] = mesh;
+            if (sourcesChanged) {
+                releaseVideoSource(mesh);
+                delete selectedSources[mesh.name];
+                loadHotspotVideo(mesh);
+            }
+            if (focusedMeshName === mesh.name) detailCard.show(hotspot.detail);
+        } else if (previous) {
+            if (focusedMeshName === mesh.name) unfocusHotspot();
+            releaseVideoSource(mesh);
+            delete selectedSources[mesh.name];
+            delete unlocalizedHotspots[mesh.name];
+            delete hotspotsByMesh[mesh.name];
+            delete hotspotMeshesByName[mesh.name];
+            restoreOriginalMaterial(mesh);
+        }
+        hotspotNavigator.setHotspots(Object.values(hotspotMeshesByName));
+        frameScheduler.requestFrame();
+    }
+
+    function restoreOriginalMaterial(mesh) {
+        const material = originalMaterials[mesh.name];
+        if (!material) return;
+        if (mesh.material.uniforms) mesh.material.dispose(); // The video material; releaseVideoSource() took its texture
+        mesh.material = material;
+        delete originalMaterials[mesh.name];
+        postProcessing.removeBloom(mesh);
+        postProcessing.addEmissiveBloom(mesh);
+    }
+
+    // --- Scene Manifest Loading ---
+    // The manifest is fetched first; its callback starts the GLB. loadingManager.onLoad (the "E N T E R"
+    // button) waits only for these two; audio and video stream in afterwards.
+    errorReporter.retry(`Scene manifest "${sceneManifestPath}"`,
+        (onSuccess, onFailure) => loadSceneManifest(sceneManifestPath, loadingManager, onSuccess, onFailure),
+        function (manifest, writtenManifest) {
+            if (disposed) return;
+            sceneManifest = localizeSceneManifest(manifest, translator.locale);
+            rawSceneManifest = writtenManifest;
+            manifest.hotspots.forEach(hotspot => { unlocalizedHotspots[hotspot.mesh] = hotspot; });
+            sceneManifest.hotspots.forEach(hotspot => { hotspotsByMesh[hotspot.mesh] = hotspot; });
+            setCameraBounds(sceneManifest.cameraBounds);
+            infoPanelOffset = sceneManifest.infoPanelOffset;
+            console.log(`Scene manifest loaded: ${sceneManifest.hotspots.length} hotspots.`);
+            loadModel();
+        },
+        function (err) {
+            errorReporter.report('manifest', err, err.message);
+        }
+    );
+
+    // --- GLTF Loader ---
+    function loadModel() {
+        const modelProgress = loadProgress.add(sceneManifest.model, 'scene');
+        errorReporter.retry(`Model "${sceneManifest.model}"`,
+            (onSuccess, onFailure) => loadGltf(sceneManifest.model, onSuccess, (event) => modelProgress.onProgress(event), onFailure),
+            // ** onLoad Callback **
+            function (gltf) {
+                modelProgress.finish();
+                if (disposed) return;
+                console.log('GLTF loaded successfully:', gltf);
+                const loadedScene = gltf.scene;
+                scene.add(loadedScene);
+                modelRoot = loadedScene;
+
+                // --- Find and Use Camera ---
+                if (gltf.cameras && gltf.cameras.length > 0) {
+                    importedCamera = gltf.cameras.find(cam => cam.name === sceneManifest.camera);
+                    if (!importedCamera) {
+                        importedCamera = gltf.cameras[0];
+                        errorReporter.report('camera', null, `Camera "${sceneManifest.camera}" not in the GLB; using "${importedCamera.name}".`);
+                    }
+                    if (importedCamera) {
+                        console.log('Using camera from GLTF:', importedCamera.name);
+                        importedCamera.aspect = viewWidth / viewHeight;
+                        importedCamera.updateProjectionMatrix();
+                        isCameraLoaded = true;
+                        // Clamp initial camera position
+                        clampCameraPosition(importedCamera.position);
+
+                        // --- Initialize Audio Listener (attach to camera) ---
+                        listener = new THREE.AudioListener();
+                        importedCamera.add(listener);
+
+                    } else { console.warn(`Could not find '${sceneManifest.camera}' or any camera in the GLTF file.`); }
+                } else { errorReporter.report('camera', null, "No cameras found in the GLTF file; using a default camera."); }
+
+                // Fallback Camera Creation
+                if (!isCameraLoaded) {
+                    console.log("Creating default PerspectiveCamera as fallback.");
+                    importedCamera = new THREE.PerspectiveCamera(75, viewWidth / viewHeight, 0.1, 1000);
+                    importedCamera.position.z = 5;
+                    scene.add(importedCamera);
+                    isCameraLoaded = true;
+                    listener = new THREE.AudioListener();
+                    importedCamera.add(listener);
+                }
+
+                // Apply the stored mute/volume preference
+                listener.setMasterVolume(audioPreference.muted ? 0 : audioPreference.volume);
+                // The AudioContext is shared by every scene on the page, so only this listener's node is let go
+                resources.track(() => {
+                    listener.gain.disconnect();
+                    listener.removeFromParent();
+                });
+
+                // --- Post-Processing ---
+                postProcessing = resources.track(createPostProcessing(renderer, scene, importedCamera));
+                postProcessing.setAllowedEffects(qualityTier.effects);
+                postProcessing.updateSize();
+                postProcessing.addEmissiveBloom(loadedScene);
+
+                // --- Camera Path ---
+                if (sceneManifest.cameraPath) {
+                    cameraPath = createCameraPath(gltf, sceneManifest.cameraPath, importedCamera);
+                }
+                if (cameraPath) {
+                    minCameraX = cameraPath.bounds.min.x; maxCameraX = cameraPath.bounds.max.x;
+                    minCameraZ = cameraPath.bounds.min.z; maxCameraZ = cameraPath.bounds.max.z;
+                    // Start from the path point nearest the GLB camera
+                    pathProgress = cameraPath.progressNearestTo(importedCamera.getWorldPosition(new THREE.Vector3()));
+                    cameraPath.applyToCamera(pathProgress);
+                }
+
+                baseCameraFov = importedCamera.fov;
+                cameraFocus = createCameraFocus(importedCamera, clampCameraPosition);
+                if (reducedMotion) cameraFocus.setFlyDuration(0);
+
+                // --- Scroll Timeline ---
+                const timelineConfig = resolveTimelineConfig(gltf, sceneManifest.timeline);
+                if (timelineConfig) {
+                    const timelineProblems = validateTimeline(timelineConfig);
+                    if (timelineProblems.length > 0) {
+                        console.error(`Timeline from the GLB is invalid and was skipped:\n- ${timelineProblems.join('\n- ')}`);
+                    } else {
+                        timeline = resources.track(createTimeline(gltf, timelineConfig, timelineHandlers));
+                    }
+                } else if (gltf.animations.length > 0) {
+                    console.log(`GLB has ${gltf.animations.length} animation clip(s) but no timeline config.`);
+                }
+
+                // --- Validate Hotspots Against the GLB ---
+                const missingMeshes = findMissingHotspotMeshes(sceneManifest, loadedScene);
+                if (missingMeshes.length > 0) {
+                    console.error(`Scene manifest lists ${missingMeshes.length} hotspot mesh(es) not found in "${sceneManifest.model}": ${missingMeshes.join(', ')}`);
+                }
+
+                // --- Apply Video Textures ---
+                // Each hotspot negotiates its own source; textures are applied as the probes resolve.
+                const hotspotMeshes = [];
+                loadedScene.traverse((child) => {
+                    // Check if it's a mesh with a hotspot entry in the manifest
+                    if (child.isMesh && hotspotsByMesh[child.name]) {
+                        hotspotMeshes.push(child);
+                        hotspotMeshesByName[child.name] = child;
+                    }
+                }); // End traverse
+                hotspotNavigator.setHotspots(hotspotMeshes);
+                hotspotMeshes.forEach(loadHotspotVideo);
+
+                // --- Load Scene Audio (ambient layers + creature sounds) ---
+                if (listener) {
+                    sceneAudio = resources.track(createSceneAudio(listener, loadProgress, errorReporter));
+                    sceneManifest.audio.layers.forEach(layer => sceneAudio.addAmbientLayer(layer));
+                    if (sceneManifest.audio.layers.length === 0) {
+                        console.log("No ambient audio declared in the scene manifest.");
+                    }
+                    // Creature rolloff is sized to how far the camera can travel
+                    const audioRange = cameraPath ? cameraPath.length : maxCameraX - minCameraX;
+                    hotspotMeshes.forEach(mesh => {
+                        const creatureSound = hotspotsByMesh[mesh.name].sound;
+                        if (creatureSound) sceneAudio.addCreatureSound(mesh, creatureSound, audioRange);
+                        const narration = hotspotsByMesh[mesh.name].narration;
+                        if (narration) sceneAudio.addNarration(mesh.name, narration);
+                    });
+                } else { console.error("Audio Listener could not be initialized. Scene audio not loaded."); }
+
+                if (editMode) startEditor();
+            },
+            // ** onError Callback (once retries are exhausted) **
+            function (error) {
+                modelProgress.finish();
+                errorReporter.report('model', error, `Could not load "${sceneManifest.model}": ${error && error.message ? error.message : error}`);
+            }
+        );
+    }
+
+    // --- Handle Resizing ---
+    // Follows the container rather than the window, so an embedded scene can be any size
+    function onResize() {
+        viewWidth = Math.max(1, container.clientWidth);
+        viewHeight = Math.max(1, container.clientHeight);
+        if (isCameraLoaded) {
+            importedCamera.aspect = viewWidth / viewHeight;
+            importedCamera.updateProjectionMatrix();
+        }
+        renderer.setSize(viewWidth, viewHeight);
+        if (postProcessing) postProcessing.updateSize();
+        if (editor) editor.resize(viewWidth, viewHeight);
+        refreshStarPointScale();
+        frameScheduler.requestFrame();
+    }
+    const resizeObserver = new ResizeObserver(onResize);
+    resizeObserver.observe(container);
+    resources.track(() => resizeObserver.disconnect());
+
+    // --- Info Panel Positioning ---
+    // Place the panel next to a point in the scene, flipping sides to stay inside it. It prefers the
+    // reading direction's trailing side: right of the point, or left of it in right-to-left locales.
+    let isRightToLeft = translator.dir === 'rtl';
+
+    // A mesh's on-screen position, in the canvas's own space
+    function meshViewPosition(mesh) {
+        const anchor = mesh.getWorldPosition(new THREE.Vector3()).project(importedCamera);
+        return { x: (anchor.x + 1) / 2 * viewWidth, y: (1 - anchor.y) / 2 * viewHeight };
+    }
+
+    function showInfoPanelAt(anchorX, anchorY) {
+        const panelWidth = infoPanelElement.offsetWidth;
+        const panelHeight = infoPanelElement.offsetHeight;
+        const panelLeftOfAnchor = anchorX - panelWidth - infoPanelOffset.x;
+        const panelRightOfAnchor = anchorX + infoPanelOffset.x;
+        let panelX;
+        if (isRightToLeft) {
+            panelX = panelLeftOfAnchor < 0 ? panelRightOfAnchor : panelLeftOfAnchor;
+        } else {
+            panelX = panelRightOfAnchor + panelWidth > viewWidth ? panelLeftOfAnchor : panelRightOfAnchor;
+        }
+        let panelY = anchorY + infoPanelOffset.y;
+        if (panelY + panelHeight > viewHeight) { panelY = anchorY - panelHeight - infoPanelOffset.y; }
+        panelX = Math.max(0, Math.min(panelX, viewWidth - panelWidth)); // Prevent going off either side
+        panelY = Math.max(0, panelY); // Prevent going off top
+        infoPanelElement.style.left = `${panelX}px`;
+        infoPanelElement.style.top = `${panelY}px`;
+        infoPanelElement.style.display = 'block';
+    }
+
+    // --- Animation Loop ---
+    // Called by frameScheduler; returns true while another frame is needed
+    function animate(delta) {
+        if (!sceneReady || !isCameraLoaded) return false;
+
+        const elapsedTime = clock.getElapsedTime();
+        qualityGovernor.sample(delta);
+
+        // --- Hotspot Focus Flight ---
+        // While focused (or flying back), the focus controller owns the camera
+        const focusActive = cameraFocus.update(delta);
+
+        // --- Star Twinkling ---
+        starTime += delta;
+        starfield.update(starTime, mouse);
+
+        // --- Raycasting for Video/Info Panel ---
+        let intersectedVideoElement = null;
+        let intersectedMeshName = null;
+
+        if (videoMeshes.length > 0 && importedCamera) {
+            // Only update raycaster if mouse is potentially over the canvas (-1 to 1 range)
+            // Or if dragging (touch taps set the same mouse position)
+            // This is a micro-optimization, might not be necessary
+            // if ( (mouse.x >= -1 && mouse.x <= 1 && mouse.y >= -1 && mouse.y <= 1) || pointerInput.isDragging() ) {
+                 raycaster.setFromCamera(mouse, importedCamera);
+                 const intersects = raycaster.intersectObjects(videoMeshes, false);
+
+                 if (intersects.length > 0) {
+                     const intersectedMesh = intersects[0].object;
+                     if (intersectedMesh && videoElements[intersectedMesh.name]) {
+                         intersectedVideoElement = videoElements[intersectedMesh.name];
+                         intersectedMeshName = intersectedMesh.name;
+                     }
+                 }
+            // }
+        }
+
+        // --- Keyboard Selection ---
+        // With no mouse hover, the keyboard-selected hotspot behaves as if hovered; the panel sits beside its ring
+        const ringAnchor = focusActive ? null : hotspotNavigator.updateRing(importedCamera, viewWidth, viewHeight);
+        if (focusActive) focusRingElement.classList.remove('visible');
+        let infoAnchorX = currentMouseX; let infoAnchorY = currentMouseY;
+        let hoverFromKeyboard = false; // Already announced with its title by onKeyboardSelection()
+        const keyboardSelection = hotspotNavigator.getSelected();
+        if (!intersectedMeshName && keyboardSelection && hotspotsByMesh[keyboardSelection.name]) {
+            hoverFromKeyboard = true;
+            intersectedMeshName = keyboardSelection.name;
+            intersectedVideoElement = videoElements[intersectedMeshName] || null;
+            if (ringAnchor) { infoAnchorX = isRightToLeft ? ringAnchor.left : ringAnchor.right; infoAnchorY = ringAnchor.top; }
+        }
+
+        let hoveredHotspot = intersectedMeshName ? hotspotsByMesh[intersectedMeshName] : null;
+        if (hoveredHotspot && !hoveredHotspot.behaviours.playOnHover) {
+            intersectedVideoElement = null;
+        }
+        if (focusActive) {
+            // Keep the focused creature playing; the detail card replaces the hover tooltip
+            intersectedVideoElement = focusedMeshName ? videoElements[focusedMeshName] || null : null;
+            hoveredHotspot = null;
+        }
+
+        // --- Control Video Playback ---
+        // Active videos play and fade up, the rest fade down and then pause; the hovered one gets its outline
+        const activeMeshNames = new Set();
+        if (focusActive) {
+            if (intersectedVideoElement) activeMeshNames.add(focusedMeshName);
+        } else {
+            if (intersectedVideoElement) activeMeshNames.add(intersectedMeshName);
+            if (sceneManifest.autoPlay) {
+                hotspotPlayback.findNearby(videoMeshes, importedCamera, sceneManifest.autoPlay.distance)
+                    .filter(mesh => hotspotsByMesh[mesh.name].behaviours.autoPlay)
+                    .forEach(mesh => activeMeshNames.add(mesh.name));
+            }
+        }
+        const highlightedMeshName = hoveredHotspot ? intersectedMeshName : null;
+        const playbackFading = hotspotPlayback.update(delta, videoMeshes, videoElements, activeMeshNames, highlightedMeshName);
+        emitHotspotChange(highlightedMeshName);
+
+        // --- Cursor ---
+        // A pointer over a hotspot shows it can be clicked
+        const cursor = hoveredHotspot && !hoverFromKeyboard ? 'pointer' : '';
+        if (canvas.style.cursor !== cursor) canvas.style.cursor = cursor;
+
+        // --- Helper Texture Updates (sprite sheet frames) ---
+        Object.values(textureObjects).forEach(textureObj => {
+            if (textureObj.update) textureObj.update(delta);
+        });
+
+        // --- Control Info Panel ---
+        if (timelineInfo && elapsedTime > timelineInfo.until) { timelineInfo = null; }
+        const timelineInfoHotspot = timelineInfo && !focusActive ? hotspotsByMesh[timelineInfo.meshName] : null;
+        const timelineInfoMesh = timelineInfo ? hotspotMeshesByName[timelineInfo.meshName] : null;
+
+        const editorPinnedMesh = editor && !focusActive ? editor.getPinnedMesh() : null;
+
+        if (editorPinnedMesh && infoPanelElement) {
+            // ?edit: the selected hotspot keeps its panel up, so it can be dragged into place
+            const anchor = meshViewPosition(editorPinnedMesh);
+            infoPanelElement.innerHTML = hotspotsByMesh[editorPinnedMesh.name].info || t('info.unavailable');
+            showInfoPanelAt(anchor.x, anchor.y);
+        } else if (hoveredHotspot && hoveredHotspot.behaviours.showInfo && infoPanelElement) {
+            infoPanelElement.innerHTML = hoveredHotspot.info || t('info.unavailable');
+            showInfoPanelAt(infoAnchorX, infoAnchorY);
+            if (!hoverFromKeyboard) announcer.announce(infoPanelElement.textContent);
+        } else if (timelineInfoHotspot && timelineInfoMesh && infoPanelElement) {
+            // Pinned by a timeline event: anchor to the creature's on-screen position
+            const anchor = meshViewPosition(timelineInfoMesh);
+            infoPanelElement.innerHTML = timelineInfoHotspot.info || t('info.unavailable');
+            showInfoPanelAt(anchor.x, anchor.y);
+            announcer.announce(infoPanelElement.textContent);
+        } else if (infoPanelElement) {
+            infoPanelElement.style.display = 'none';
+            announcer.reset(); // Hovering the same creature again should be read out again
+        }
+
+
+        // --- Camera Glide (bring a Tab-selected or minimap hotspot into view) ---
+        if (cameraGlide && !focusActive) {
+            updateCameraGlide(delta);
+        }
+
+        // --- Camera Movement Logic ---
+        if (isCameraLoaded && !focusActive && cameraPath) {
+            // --- Path Movement (scroll/touch velocity and A/D advance along the spline) ---
+            let pathStep = scrollVelocityX * delta;
+            if (keyStates.A) pathStep -= moveSpeed * delta;
+            if (keyStates.D) pathStep += moveSpeed * delta;
+
+            if (pathStep !== 0) {
+                const unclampedProgress = pathProgress + pathStep / cameraPath.length;
+                pathProgress = THREE.MathUtils.clamp(unclampedProgress, 0, 1);
+                cameraPath.applyToCamera(pathProgress);
+                if (unclampedProgress !== pathProgress) scrollVelocityX = 0; // Stop velocity at either end
+            }
+
+            if (Math.abs(scrollVelocityX) > 0.0001) {
+                if (!pointerInput.isDragging()) scrollVelocityX *= scrollDamping;
+            } else {
+                scrollVelocityX = 0;
+            }
+
+            deepLink.replaceCameraX(importedCamera.position.x);
+
+        } else if (isCameraLoaded && !focusActive) {
+            // Calculate Camera Local Axes
+            const forward = new THREE.Vector3();
+            importedCamera.getWorldDirection(forward);
+            const right = new THREE.Vector3();
+            right.crossVectors(importedCamera.up, forward).normalize().negate();
+
+            // --- WASD Movement ---
+            const wasdMoveDistance = moveSpeed * delta;
+            const potentialPositionWASD = importedCamera.position.clone();
+            let movedWASD = false;
+            if (keyStates.W) { potentialPositionWASD.addScaledVector(forward, wasdMoveDistance); movedWASD = true; }
+            if (keyStates.S) { potentialPositionWASD.addScaledVector(forward, -wasdMoveDistance); movedWASD = true; }
+            if (keyStates.A) { potentialPositionWASD.addScaledVector(right, -wasdMoveDistance); movedWASD = true; }
+            if (keyStates.D) { potentialPositionWASD.addScaledVector(right, wasdMoveDistance); movedWASD = true; }
+
+            // Apply WASD movement with clamping
+            if (movedWASD) {
+                 importedCamera.position.copy(clampCameraPosition(potentialPositionWASD));
+            }
+
+            // --- Scroll/Touch Movement (Velocity Based) ---
+            if (Math.abs(scrollVelocityX) > 0.0001) { // Lower threshold for stopping
+                const scrollMoveStep = scrollVelocityX * delta;
+                const moveVector = right.clone().multiplyScalar(scrollMoveStep);
+                const potentialPositionScroll = importedCamera.position.clone().add(moveVector);
+
+                // Check bounds *before* applying
+                if (potentialPositionScroll.x > minCameraX && potentialPositionScroll.x < maxCameraX &&
+                    potentialPositionScroll.z > minCameraZ && potentialPositionScroll.z < maxCameraZ) { // Use strict inequality to prevent getting stuck?
+                    importedCamera.position.add(moveVector);
+                     // Apply Damping only if movement occurred and we are not dragging
+                     if (!pointerInput.isDragging()) {
+                        scrollVelocityX *= scrollDamping;
+                     }
+                } else {
+                    // If move goes out of bounds, clamp position and kill velocity
+                    importedCamera.position.x = Math.max(minCameraX, Math.min(maxCameraX, potentialPositionScroll.x));
+                    importedCamera.position.z = Math.max(minCameraZ, Math.min(maxCameraZ, potentialPositionScroll.z));
+                    scrollVelocityX = 0; // Stop velocity when hitting boundary
+                }
+            } else {
+                 scrollVelocityX = 0; // Snap to zero if below threshold
+            }
+             // If dragging, don't apply damping (let the drag control velocity directly)
+             // Damping is applied automatically when the drag ends and velocity is > threshold
+
+
+            // Keep the URL hash in step with the camera so the view can be shared
+            deepLink.replaceCameraX(importedCamera.position.x);
+
+        } else if (focusActive) {
+            scrollVelocityX = 0; // Drop any input that arrived while focused
+        } // End if(isCameraLoaded)
+
+        // --- Minimap ---
+        minimap.update(getScrollProgress(), videoMeshes, intersectedMeshName ? hotspotMeshesByName[intersectedMeshName] : null);
+        recordScrollDepth(getScrollProgress());
+
+        // --- Scroll Timeline ---
+        let timelineAnimating = false;
+        if (timeline) {
+            timelineAnimating = timeline.update(getScrollProgress(), delta);
+        }
+
+        // --- Scene Audio Mix ---
+        // Section cross-fades follow scroll progress; the hovered (or focused) creature ducks the bed
+        let audioFading = false;
+        if (sceneAudio) {
+            audioFading = sceneAudio.update(getScrollProgress(), focusActive ? focusedMeshName : intersectedMeshName, delta);
+        }
+
+
+        // --- Rendering ---
+        // Depth of field follows the hovered (or focused) creature
+        const editorCamera = editor ? editor.getViewCamera() : null;
+        let depthOfFieldEasing = false;
+        if (editorCamera) {
+            renderer.render(scene, editorCamera); // The editor's overview, gizmos and all; no post-processing
+        } else {
+            const focusTargetName = focusActive ? focusedMeshName : intersectedMeshName;
+            postProcessing.setFocusTarget(focusTargetName ? hotspotMeshesByName[focusTargetName] : null);
+            depthOfFieldEasing = postProcessing.render(delta);
+        }
+        if (debugHud) {
+            debugHud.update(delta, renderer.info.render, qualityTier.name);
+        }
+
+        // --- Keep Rendering? ---
+        const cameraMoving = cameraFocus.isFlying() || cameraGlide !== null || scrollVelocityX !== 0 ||
+            Object.values(keyStates).some(Boolean) || pointerInput.isDragging();
+        const videoPlaying = Object.values(videoElements).some(video => !video.paused);
+        const busy = cameraMoving || videoPlaying || timelineAnimating || audioFading ||
+            depthOfFieldEasing || playbackFading || timelineInfo !== null;
+        if (busy) lastActivityTime = performance.now();
+        return busy || (starfield.isTwinkling() && performance.now() - lastActivityTime < twinkleIdleTimeout);
+    }
+
+    // --- Initial Setup ---
+    // Event listeners are added above.
+    // Animation loop starts via startExperience() after loading & user interaction.
+
+    // --- Public Controls ---
+    // Glide along the scroll range to a hotspot, or with { focus: true } fly in and open its detail card.
+    // Returns false before the visitor has entered the scene, or for an unknown mesh.
+    function goTo(meshName, { focus = false } = {}) {
+        const mesh = hotspotMeshesByName[meshName];
+        if (!mesh) {
+            console.warn(`goTo(): no hotspot mesh named "${meshName}".`);
+            return false;
+        }
+        if (!isCameraLoaded || !sceneReady) return false;
+        if (focus) focusHotspot(mesh);
+        else glideToHotspot(mesh);
+        frameScheduler.requestFrame();
+        return true;
+    }
+
+    // Stops rendering, videos and scene audio until resume(); for a host page that hides the scene
+    function pause() {
+        if (paused) return;
+        paused = true;
+        frameScheduler.stop();
+        Object.values(videoElements).forEach(video => video.pause());
+        if (sceneAudio && sceneAudio.isStarted()) sceneAudio.stop();
+    }
+
+    function resume() {
+        if (!paused) return;
+        paused = false;
+        hotspotPlayback.reset(); // Active videos were paused above; let them play again
+        startSceneAudio();
+        if (sceneReady) frameScheduler.start();
+    }
+
+    // The host page's call, so it isn't stored as the visitor's preference
+    function setMuted(muted) {
+        audioControls.setMuted(Boolean(muted), { persist: false });
+    }
+
+    function setTelemetryConsent(granted) {
+        telemetry.setConsent(Boolean(granted));
+    }
+
+    // Switch the UI, hotspot text and narration to `locale` without rebuilding the scene
+    function setLocale(locale) {
+        translator = createTranslator(locale || resolveLocale());
+        isRightToLeft = translator.dir === 'rtl';
+        localizeSceneTemplate(container, translator);
+        audioControls.setLabels({ mute: t('audio.mute'), unmute: t('audio.unmute') });
+
+        Object.entries(unlocalizedHotspots).forEach(([meshName, hotspot]) => {
+            hotspotsByMesh[meshName] = localizeHotspot(hotspot, translator.locale);
+            const narration = hotspotsByMesh[meshName].narration;
+            if (sceneAudio && narration) sceneAudio.addNarration(meshName, narration);
+        });
+        minimap.relabel();
+        if (focusedMeshName && hotspotsByMesh[focusedMeshName]) detailCard.show(hotspotsByMesh[focusedMeshName].detail);
+        announcer.reset(); // The next announcement is new text even if it names the same hotspot
+        frameScheduler.requestFrame(); // The info panel picks up the new text on the next frame
+    }
+
+    // --- Cleanup ---
+    // Releases everything tracked above, then checks the renderer for leftovers. Returns the leak
+    // report from checkRendererLeaks() ({ geometries, textures, programs }, all zero when clean).
+    function dispose() {
+        if (disposed) return null;
+        disposed = true;
+        console.log("Cleaning up Three.js resources...");
+        sceneReady = false;
+        resources.disposeAll();
+        const leaks = checkRendererLeaks(renderer);
+        renderer.dispose();
+        renderer.forceContextLoss(); // Give the WebGL context back now; browsers cap how many a page may hold
+        console.log("Cleanup complete.");
+        return leaks;
+    }
+
+    return {
+        goTo: goTo,
+        pause: pause,
+        resume: resume,
+        setMuted: setMuted,
+        setTelemetryConsent: setTelemetryConsent,
+        setLocale: setLocale,
+        dispose: dispose
+    };
+}
+
+function createScene(container, options = {}) {
+    let instance = null;
+    let mountOptions = { ...options };
+    let hostMuted = null; // The last setMuted() call; not stored as a preference, so init() applies it again
+
+    const controller = {
+        init() {
+            if (!instance) {
+                instance = mountScene(container, mountOptions, () => {
+                    controller.dispose();
+                    controller.init();
+                });
+                if (hostMuted !== null) instance.setMuted(hostMuted);
+            }
+            return controller;
+        },
+
+        dispose() {
+            if (!instance) return null;
+            const leaks = instance.dispose();
+            instance = null;
+            return leaks;
+        },
+
+        isInitialized() {
+            return instance !== null;
+        },
+
+        goTo(meshName, goToOptions) {
+            return instance ? instance.goTo(meshName, goToOptions) : false;
+        },
+
+        pause() {
+            if (instance) instance.pause();
+        },
+
+        resume() {
+            if (instance) instance.resume();
+        },
+
+        // Held for the next init() too, e.g. a call before the scene starts or a rebuild after a load error
+        setMuted(muted) {
+            hostMuted = Boolean(muted);
+            if (instance) instance.setMuted(hostMuted);
+        },
+
+        // Kept for later init() calls too
+        setTelemetryConsent(granted) {
+            mountOptions = { ...mountOptions, telemetry: { ...mountOptions.telemetry, consent: granted } };
+            if (instance) instance.setTelemetryConsent(granted);
+        },
+
+        // Applied to a running scene in place, and kept for later init() calls
+        setLocale(locale) {
+            mountOptions = { ...mountOptions, locale: locale };
+            if (instance) instance.setLocale(locale);
+        }
+    };
+
+    if (options.autoInit !== false) controller.init();
+    return controller;
+}
+
+export { createScene };
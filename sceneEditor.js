@@ -0,0 +1,448 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { sourceKinds } from './sourceSelection.js';
+import { validateSceneManifest } from './sceneManifest.js';
+
+// --- Scene Editor (?edit) ---
+// An authoring panel over the running scene, loaded by scene.js when the page URL has ?edit:
+//   - click any mesh of the GLB, tick "Hotspot" and give it video sources, info text and a detail card
+//   - with a hotspot selected its info panel stays up; drag it to set "infoPanelOffset"
+//   - "Overview" looks down on the scene from an orbit camera, where the camera bounds' two corners
+//     are dragged with TransformControls (a "cameraPath" sets its own bounds instead)
+//   - "Export scene.json" downloads the edited manifest once it validates
+// Every change is handed straight to the running scene through `handlers`, so it previews live.
+// The editor works on scene.json as written: text is edited in its default language, and anything
+// the panel doesn't cover (translations, sounds, behaviours...) is exported as it was.
+//
+// `host`: { scene, modelRoot, camera, canvas, infoPanel, manifest, cameraBounds, cameraBoundsFromPath,
+//           infoPanelOffset, isRightToLeft }
+// `handlers`: onHotspotChange(mesh, hotspot or null), onCameraBoundsChange(bounds), onInfoPanelOffsetChange(offset),
+//             onPreviewDetail(mesh), onViewChange(overview), requestFrame()
+
+const newSourceKind = 'webm-vp9-alpha';
+const minimumBoundsSpan = 0.1; // Keeps each min corner short of its max corner
+const handleColor = 0xffd54a;
+const boundsColor = 0x7fff7f;
+
+const panelMarkup = `
+    <h2 class="scene-editor-heading">Scene editor</h2>
+    <p class="scene-editor-hint">Click a mesh to edit it.</p>
+    <div class="scene-editor-mesh" hidden>
+        <h3 class="scene-editor-mesh-name"></h3>
+        <label><input class="scene-editor-is-hotspot" type="checkbox"> Hotspot</label>
+        <div class="scene-editor-hotspot">
+            <fieldset>
+                <legend>Video sources</legend>
+                <div class="scene-editor-sources"></div>
+                <button class="scene-editor-add-source" type="button">Add source</button>
+            </fieldset>
+            <label>Info text <textarea class="scene-editor-info" rows="2"></textarea></label>
+            <label>Title <input class="scene-editor-title" type="text"></label>
+            <label>Detail (HTML) <textarea class="scene-editor-body" rows="4"></textarea></label>
+            <button class="scene-editor-preview" type="button">Preview detail card</button>
+        </div>
+    </div>
+    <fieldset>
+        <legend>Info panel offset</legend>
+        <p class="scene-editor-hint">Drag the selected hotspot's info panel, or type the offset.</p>
+        <label>x <input class="scene-editor-offset-x" type="number" step="1"></label>
+        <label>y <input class="scene-editor-offset-y" type="number" step="1"></label>
+    </fieldset>
+    <fieldset>
+        <legend>Camera bounds</legend>
+        <p class="scene-editor-hint scene-editor-path-note" hidden>Set by the camera path.</p>
+        <div class="scene-editor-bounds">
+            <label>min x <input class="scene-editor-bound" data-corner="min" data-axis="x" type="number" step="0.1"></label>
+            <label>min z <input class="scene-editor-bound" data-corner="min" data-axis="z" type="number" step="0.1"></label>
+            <label>max x <input class="scene-editor-bound" data-corner="max" data-axis="x" type="number" step="0.1"></label>
+            <label>max z <input class="scene-editor-bound" data-corner="max" data-axis="z" type="number" step="0.1"></label>
+            <button class="scene-editor-corner" data-corner="min" type="button" aria-pressed="true">Drag min corner</button>
+            <button class="scene-editor-corner" data-corner="max" type="button" aria-pressed="false">Drag max corner</button>
+        </div>
+        <button class="scene-editor-overview" type="button" aria-pressed="false">Overview</button>
+    </fieldset>
+    <button class="scene-editor-export" type="button">Export scene.json</button>
+    <ul class="scene-editor-problems" aria-live="polite"></ul>
+`;
+
+function createSceneEditor(containerElement, host, handlers) {
+    const draft = structuredClone(host.manifest);
+    const removedHotspots = {}; // Unticked this session, so ticking "Hotspot" again brings the entry back
+    const cameraBounds = { min: { ...host.cameraBounds.min }, max: { ...host.cameraBounds.max } };
+    const infoPanelOffset = { ...host.infoPanelOffset };
+    const boundsEditable = !host.cameraBoundsFromPath;
+    let selectedMesh = null;
+    let overview = false;
+    let panelDrag = null; // { x, y, offset } while the info panel is being dragged
+
+    // --- Panel ---
+    const panel = document.createElement('section');
+    panel.className = 'scene-editor';
+    panel.setAttribute('aria-label', 'Scene editor');
+    panel.innerHTML = panelMarkup;
+    containerElement.appendChild(panel);
+    const find = (className) => panel.querySelector(`.${className}`);
+    const meshSection = find('scene-editor-mesh');
+    const meshNameElement = find('scene-editor-mesh-name');
+    const isHotspotInput = find('scene-editor-is-hotspot');
+    const hotspotSection = find('scene-editor-hotspot');
+    const sourcesElement = find('scene-editor-sources');
+    const infoInput = find('scene-editor-info');
+    const titleInput = find('scene-editor-title');
+    const bodyInput = find('scene-editor-body');
+    const offsetInputs = { x: find('scene-editor-offset-x'), y: find('scene-editor-offset-y') };
+    const boundInputs = [...panel.querySelectorAll('.scene-editor-bound')];
+    const cornerButtons = [...panel.querySelectorAll('.scene-editor-corner')];
+    const overviewButton = find('scene-editor-overview');
+    const problemsElement = find('scene-editor-problems');
+
+    // Typing in the panel shouldn't move the camera (WASD) or mute the scene (M)
+    ['keydown', 'keyup'].forEach(type => panel.addEventListener(type, event => event.stopPropagation()));
+
+    find('scene-editor-path-note').hidden = boundsEditable;
+    find('scene-editor-bounds').hidden = !boundsEditable;
+
+    // --- Overview Camera and Gizmos ---
+    const overviewCamera = new THREE.PerspectiveCamera(50, 1, 0.1, 5000);
+    const orbitControls = new OrbitControls(overviewCamera, host.canvas);
+    orbitControls.enabled = false;
+    orbitControls.addEventListener('change', handlers.requestFrame);
+    let overviewPlaced = false;
+
+    // Drawn in the overview only: the visitor's camera, and the bounds with a handle on each corner.
+    // The bounds live in the camera's parent space, as scene.js clamps camera.position.
+    const overviewGroup = new THREE.Group();
+    overviewGroup.visible = false;
+    const cameraHelper = new THREE.CameraHelper(host.camera);
+    overviewGroup.add(cameraHelper);
+    host.scene.add(overviewGroup);
+
+    const boundsGroup = new THREE.Group();
+    boundsGroup.visible = false;
+    const boundsBox = new THREE.Box3();
+    const boundsHelper = new THREE.Box3Helper(boundsBox, boundsColor);
+    const handleGeometry = new THREE.SphereGeometry(0.15, 16, 8);
+    const handleMaterial = new THREE.MeshBasicMaterial({ color: handleColor, depthTest: false });
+    const handles = { min: new THREE.Mesh(handleGeometry, handleMaterial), max: new THREE.Mesh(handleGeometry, handleMaterial) };
+    boundsGroup.add(boundsHelper, handles.min, handles.max);
+    (host.camera.parent || host.scene).add(boundsGroup);
+
+    const transformControls = new TransformControls(overviewCamera, host.canvas);
+    transformControls.showY = false; // Bounds only limit x and z
+    transformControls.enabled = false;
+    transformControls.addEventListener('change', handlers.requestFrame);
+    transformControls.addEventListener('dragging-changed', (event) => { orbitControls.enabled = overview && !event.value; });
+    transformControls.addEventListener('objectChange', onHandleMoved);
+    if (boundsEditable) transformControls.attach(handles.min);
+    overviewGroup.add(transformControls);
+
+    // Outline around the selected mesh
+    const selectionBox = new THREE.BoxHelper(undefined, handleColor);
+    selectionBox.visible = false;
+    host.scene.add(selectionBox);
+
+    // --- Hotspots ---
+    function draftHotspotFor(meshName) {
+        return draft.hotspots.find(hotspot => hotspot.mesh === meshName) || null;
+    }
+
+    function applyHotspot() {
+        handlers.onHotspotChange(selectedMesh, draftHotspotFor(selectedMesh.name));
+        handlers.requestFrame();
+    }
+
+    function selectMesh(mesh) {
+        selectedMesh = mesh;
+        selectionBox.visible = mesh !== null;
+        if (mesh) selectionBox.setFromObject(mesh);
+        meshSection.hidden = mesh === null;
+        if (mesh) showHotspotFields();
+        handlers.requestFrame();
+    }
+
+    function showHotspotFields() {
+        const hotspot = draftHotspotFor(selectedMesh.name);
+        meshNameElement.textContent = selectedMesh.name;
+        isHotspotInput.checked = hotspot !== null;
+        hotspotSection.hidden = hotspot === null;
+        if (!hotspot) return;
+        const detail = hotspot.detail || {};
+        infoInput.value = hotspot.info || '';
+        titleInput.value = detail.title || '';
+        bodyInput.value = detail.body || '';
+        renderSources(hotspot.sources);
+    }
+
+    function renderSources(sources) {
+        sourcesElement.replaceChildren(...sources.map((source, index) => {
+            const row = document.createElement('div');
+            row.className = 'scene-editor-source';
+            const kindSelect = document.createElement('select');
+            kindSelect.setAttribute('aria-label', `Source ${index + 1} kind`);
+            kindSelect.append(...Object.keys(sourceKinds).map(kind => new Option(kind, kind, false, kind === source.kind)));
+            const srcInput = document.createElement('input');
+            srcInput.type = 'text';
+            srcInput.value = source.src || '';
+            srcInput.placeholder = 'assets/creature.webm';
+            srcInput.setAttribute('aria-label', `Source ${index + 1} path`);
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.textContent = '×';
+            removeButton.setAttribute('aria-label', `Remove source ${index + 1}`);
+
+            kindSelect.addEventListener('change', () => updateSource(index, { kind: kindSelect.value }));
+            srcInput.addEventListener('change', () => updateSource(index, { src: srcInput.value.trim() }));
+            removeButton.addEventListener('click', () => {
+                const hotspot = draftHotspotFor(selectedMesh.name);
+                hotspot.sources.splice(index, 1);
+                renderSources(hotspot.sources);
+                applyHotspot();
+            });
+            row.append(kindSelect, srcInput, removeButton);
+            return row;
+        }));
+    }
+
+    // Other fields of the source (mask, layout, lowResSrc, bytes...) are kept as they were
+    function updateSource(index, change) {
+        const hotspot = draftHotspotFor(selectedMesh.name);
+        hotspot.sources[index] = { ...hotspot.sources[index], ...change };
+        applyHotspot();
+    }
+
+    isHotspotInput.addEventListener('change', () => {
+        const meshName = selectedMesh.name;
+        if (isHotspotInput.checked) {
+            draft.hotspots.push(removedHotspots[meshName] || {
+                mesh: meshName,
+                sources: [{ kind: newSourceKind, src: '' }],
+                info: '',
+                detail: { title: meshName, body: '' }
+            });
+            delete removedHotspots[meshName];
+        } else {
+            const hotspot = draftHotspotFor(meshName);
+            removedHotspots[meshName] = hotspot;
+            draft.hotspots.splice(draft.hotspots.indexOf(hotspot), 1);
+        }
+        showHotspotFields();
+        applyHotspot();
+    });
+
+    find('scene-editor-add-source').addEventListener('click', () => {
+        const hotspot = draftHotspotFor(selectedMesh.name);
+        hotspot.sources.push({ kind: newSourceKind, src: '' });
+        renderSources(hotspot.sources);
+    });
+
+    infoInput.addEventListener('input', () => {
+        draftHotspotFor(selectedMesh.name).info = infoInput.value;
+        applyHotspot();
+    });
+    [[titleInput, 'title'], [bodyInput, 'body']].forEach(([input, key]) => {
+        input.addEventListener('input', () => {
+            const hotspot = draftHotspotFor(selectedMesh.name);
+            hotspot.detail = { ...hotspot.detail, [key]: input.value };
+            applyHotspot();
+        });
+    });
+
+    find('scene-editor-preview').addEventListener('click', () => handlers.onPreviewDetail(selectedMesh));
+
+    // --- Info Panel Offset ---
+    // x is measured away from the point in the reading direction, so it's mirrored for right-to-left
+    function setInfoPanelOffset(x, y) {
+        infoPanelOffset.x = Math.round(x);
+        infoPanelOffset.y = Math.round(y);
+        offsetInputs.x.value = String(infoPanelOffset.x);
+        offsetInputs.y.value = String(infoPanelOffset.y);
+        handlers.onInfoPanelOffsetChange({ ...infoPanelOffset });
+    }
+
+    function onPanelPointerDown(event) {
+        panelDrag = { x: event.clientX, y: event.clientY, offset: { ...infoPanelOffset } };
+        host.infoPanel.setPointerCapture(event.pointerId);
+        event.preventDefault();
+    }
+
+    function onPanelPointerMove(event) {
+        if (!panelDrag) return;
+        const deltaX = (event.clientX - panelDrag.x) * (host.isRightToLeft ? -1 : 1);
+        setInfoPanelOffset(panelDrag.offset.x + deltaX, panelDrag.offset.y + event.clientY - panelDrag.y);
+    }
+
+    function onPanelPointerUp() {
+        panelDrag = null;
+    }
+
+    host.infoPanel.classList.add('editable');
+    host.infoPanel.addEventListener('pointerdown', onPanelPointerDown);
+    host.infoPanel.addEventListener('pointermove', onPanelPointerMove);
+    host.infoPanel.addEventListener('pointerup', onPanelPointerUp);
+    host.infoPanel.addEventListener('pointercancel', onPanelPointerUp);
+
+    Object.values(offsetInputs).forEach(input => {
+        input.addEventListener('change', () => {
+            const x = parseFloat(offsetInputs.x.value);
+            const y = parseFloat(offsetInputs.y.value);
+            if (Number.isFinite(x) && Number.isFinite(y)) setInfoPanelOffset(x, y);
+            else setInfoPanelOffset(infoPanelOffset.x, infoPanelOffset.y); // Put the last good value back
+        });
+    });
+    setInfoPanelOffset(infoPanelOffset.x, infoPanelOffset.y);
+
+    // --- Camera Bounds ---
+    function showCameraBounds() {
+        const y = host.camera.position.y;
+        handles.min.position.set(cameraBounds.min.x, y, cameraBounds.min.z);
+        handles.max.position.set(cameraBounds.max.x, y, cameraBounds.max.z);
+        boundsBox.min.set(cameraBounds.min.x, y - 0.5, cameraBounds.min.z);
+        boundsBox.max.set(cameraBounds.max.x, y + 0.5, cameraBounds.max.z);
+        boundInputs.forEach(input => { input.value = String(cameraBounds[input.dataset.corner][input.dataset.axis]); });
+    }
+
+    function setCameraBounds(min, max) {
+        cameraBounds.min = { x: min.x, z: min.z };
+        cameraBounds.max = { x: max.x, z: max.z };
+        showCameraBounds();
+        handlers.onCameraBoundsChange({ min: { ...cameraBounds.min }, max: { ...cameraBounds.max } });
+    }
+
+    // Dragging one corner past the other stops just short of it
+    function onHandleMoved() {
+        const { min, max } = handles;
+        if (transformControls.object === min) {
+            min.position.x = Math.min(min.position.x, max.position.x - minimumBoundsSpan);
+            min.position.z = Math.min(min.position.z, max.position.z - minimumBoundsSpan);
+        } else {
+            max.position.x = Math.max(max.position.x, min.position.x + minimumBoundsSpan);
+            max.position.z = Math.max(max.position.z, min.position.z + minimumBoundsSpan);
+        }
+        setCameraBounds(min.position, max.position);
+    }
+
+    boundInputs.forEach(input => {
+        input.addEventListener('change', () => {
+            const value = parseFloat(input.value);
+            const min = { ...cameraBounds.min };
+            const max = { ...cameraBounds.max };
+            if (input.dataset.corner === 'min') min[input.dataset.axis] = value;
+            else max[input.dataset.axis] = value;
+            if (Number.isFinite(value) && min.x < max.x && min.z < max.z) setCameraBounds(min, max);
+            else showCameraBounds(); // Put the last good values back
+        });
+    });
+
+    cornerButtons.forEach(button => {
+        button.addEventListener('click', () => {
+            transformControls.attach(handles[button.dataset.corner]);
+            cornerButtons.forEach(other => other.setAttribute('aria-pressed', String(other === button)));
+            handlers.requestFrame();
+        });
+    });
+    showCameraBounds();
+
+    // --- Overview ---
+    // First time in, look down on the bounds from above and behind their middle
+    function placeOverviewCamera() {
+        const parent = host.camera.parent || host.scene;
+        const center = parent.localToWorld(new THREE.Vector3(
+            (cameraBounds.min.x + cameraBounds.max.x) / 2,
+            host.camera.position.y,
+            (cameraBounds.min.z + cameraBounds.max.z) / 2
+        ));
+        const span = Math.max(cameraBounds.max.x - cameraBounds.min.x, cameraBounds.max.z - cameraBounds.min.z);
+        overviewCamera.position.copy(center).add(new THREE.Vector3(0, span * 0.6, span * 0.6));
+        orbitControls.target.copy(center);
+        orbitControls.update();
+        overviewPlaced = true;
+    }
+
+    function setOverview(on) {
+        overview = on;
+        if (on && !overviewPlaced) placeOverviewCamera();
+        if (on) {
+            cameraHelper.update();
+            showCameraBounds(); // The camera may have moved since
+        }
+        overviewGroup.visible = on;
+        boundsGroup.visible = on && boundsEditable;
+        orbitControls.enabled = on;
+        transformControls.enabled = on && boundsEditable;
+        overviewButton.setAttribute('aria-pressed', String(on));
+        handlers.onViewChange(on);
+        handlers.requestFrame();
+    }
+
+    overviewButton.addEventListener('click', () => setOverview(!overview));
+
+    // --- Export ---
+    function exportManifest() {
+        const manifest = structuredClone(draft);
+        manifest.infoPanelOffset = { ...infoPanelOffset };
+        if (boundsEditable) {
+            manifest.cameraBounds = { min: { ...cameraBounds.min }, max: { ...cameraBounds.max } };
+        }
+        const problems = validateSceneManifest(manifest);
+        problemsElement.replaceChildren(...problems.map(problem => {
+            const item = document.createElement('li');
+            item.textContent = problem;
+            return item;
+        }));
+        if (problems.length > 0) return;
+
+        const url = URL.createObjectURL(new Blob([JSON.stringify(manifest, null, 4) + '\n'], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'scene.json';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000); // Once the download has started
+    }
+
+    find('scene-editor-export').addEventListener('click', exportManifest);
+
+    return {
+        // `mesh` from the GLB, or null to clear the selection
+        selectMesh: selectMesh,
+
+        // The selected mesh while it's a hotspot; scene.js keeps its info panel showing for dragging
+        getPinnedMesh() {
+            return !overview && selectedMesh && draftHotspotFor(selectedMesh.name) ? selectedMesh : null;
+        },
+
+        isOverview() {
+            return overview;
+        },
+
+        // The camera to render with instead of the visitor's, or null
+        getViewCamera() {
+            return overview ? overviewCamera : null;
+        },
+
+        resize(width, height) {
+            overviewCamera.aspect = width / height;
+            overviewCamera.updateProjectionMatrix();
+        },
+
+        dispose() {
+            transformControls.detach();
+            transformControls.dispose();
+            orbitControls.dispose();
+            [overviewGroup, boundsGroup, selectionBox].forEach(object => object.removeFromParent());
+            cameraHelper.dispose();
+            boundsHelper.dispose();
+            selectionBox.dispose();
+            handleGeometry.dispose();
+            handleMaterial.dispose();
+            host.infoPanel.classList.remove('editable');
+            host.infoPanel.removeEventListener('pointerdown', onPanelPointerDown);
+            host.infoPanel.removeEventListener('pointermove', onPanelPointerMove);
+            host.infoPanel.removeEventListener('pointerup', onPanelPointerUp);
+            host.infoPanel.removeEventListener('pointercancel', onPanelPointerUp);
+            panel.remove();
+        }
+    };
+}
+
+export { createSceneEditor };
@@ -0,0 +1,506 @@
+import * as THREE from 'three';
+import { sourceKinds } from './sourceSelection.js';
+import { timelineActions } from './timeline.js';
+import { matchLocale } from './i18n.js';
+import { networkFailure } from './assetErrors.js';
+
+// --- Scene Manifest ---
+// Loads and validates scene.json, which declares the GLB, camera, audio and hotspots.
+// Content changes (e.g. a new creature) should only ever touch the manifest.
+// Hotspot text is written in the default language; "translations" adds other locales, e.g.
+//   "translations": { "de": { "info": "...", "detail": { "title": "...", "body": "..." }, "narration": { "src": "..." } } }
+// and localizeSceneManifest() swaps in the best match for the visitor's locale, text and narration together.
+
+const defaultSceneManifestPath = 'scene.json';
+// `autoPlay` only matters when the manifest turns proximity auto-play on (top-level "autoPlay")
+const defaultBehaviours = { playOnHover: true, showInfo: true, focusOnClick: true, autoPlay: true };
+// Where the straight slide may take the camera (its local x and z); a "cameraPath" brings its own bounds
+const defaultCameraBounds = { min: { x: -50, z: -1.75 }, max: { x: 50, z: 1.75 } };
+// Info panel position relative to the hovered point, in CSS pixels (x is mirrored in right-to-left locales)
+const defaultInfoPanelOffset = { x: 15, y: -15 };
+
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+// Sources are tried in order by sourceSelection.js; each kind needs slightly different fields.
+// Any kind may add "lowResSrc", which the lower quality tiers (qualityGovernor.js) play instead,
+// and "bytes", the file size used for the loading progress bar (see loadProgress.js).
+function validateSource(source, label) {
+    const problems = [];
+    if (!source || typeof source !== 'object') {
+        return [`${label} must be an object.`];
+    }
+    if (!sourceKinds[source.kind]) {
+        problems.push(`${label} has unknown kind "${source.kind}" (expected one of ${Object.keys(sourceKinds).join(', ')}).`);
+    }
+    if (typeof source.src !== 'string' || !source.src) {
+        problems.push(`${label} is missing "src".`);
+    }
+    if (source.type !== undefined && typeof source.type !== 'string') {
+        problems.push(`${label} "type" must be a MIME type string.`);
+    }
+    if (source.lowResSrc !== undefined && (typeof source.lowResSrc !== 'string' || !source.lowResSrc)) {
+        problems.push(`${label} "lowResSrc" must be a path.`);
+    }
+    if (source.bytes !== undefined && !isPositiveInteger(source.bytes)) {
+        problems.push(`${label} "bytes" must be a positive integer.`);
+    }
+    if (source.kind === 'mp4-alpha-mask' && (typeof source.mask !== 'string' || !source.mask)) {
+        problems.push(`${label} needs a "mask" video path.`);
+    }
+    if (source.kind === 'mp4-stacked-alpha' && source.layout !== undefined && !['top-bottom', 'side-by-side'].includes(source.layout)) {
+        problems.push(`${label} "layout" must be "top-bottom" or "side-by-side".`);
+    }
+    if (source.kind === 'sprite-sheet') {
+        if (!isPositiveInteger(source.columns) || !isPositiveInteger(source.rows)) {
+            problems.push(`${label} needs positive integer "columns" and "rows".`);
+        }
+        if (source.frameCount !== undefined && !isPositiveInteger(source.frameCount)) {
+            problems.push(`${label} "frameCount" must be a positive integer.`);
+        }
+        if (source.fps !== undefined && !(typeof source.fps === 'number' && source.fps > 0)) {
+            problems.push(`${label} "fps" must be a positive number.`);
+        }
+    }
+    return problems;
+}
+
+// The optional expanded card shown when a hotspot is clicked.
+function validateDetail(detail, label) {
+    const problems = [];
+    if (typeof detail !== 'object' || detail === null) {
+        return [`${label} "detail" must be an object.`];
+    }
+    ['title', 'body'].forEach(key => {
+        if (detail[key] !== undefined && typeof detail[key] !== 'string') {
+            problems.push(`${label} "detail.${key}" must be a string.`);
+        }
+    });
+    if (detail.links !== undefined) {
+        if (!Array.isArray(detail.links)) {
+            problems.push(`${label} "detail.links" must be an array.`);
+        } else {
+            detail.links.forEach((link, index) => {
+                if (!link || typeof link.href !== 'string' || typeof link.label !== 'string') {
+                    problems.push(`${label} "detail.links[${index}]" needs string "label" and "href".`);
+                }
+            });
+        }
+    }
+    if (detail.gallery !== undefined) {
+        if (!Array.isArray(detail.gallery)) {
+            problems.push(`${label} "detail.gallery" must be an array.`);
+        } else {
+            detail.gallery.forEach((image, index) => {
+                if (!image || typeof image.src !== 'string' || !image.src) {
+                    problems.push(`${label} "detail.gallery[${index}]" is missing "src".`);
+                }
+            });
+        }
+    }
+    return problems;
+}
+
+// One locale's replacements for a hotspot's "info", "detail" and "narration"; anything left out keeps the default.
+function validateTranslations(translations, label) {
+    const problems = [];
+    if (typeof translations !== 'object' || translations === null || Array.isArray(translations)) {
+        return [`${label} "translations" must be an object keyed by locale.`];
+    }
+    Object.entries(translations).forEach(([locale, translation]) => {
+        const translationLabel = `${label} translations["${locale}"]`;
+        if (!/^[a-z]{2,3}(-[a-z0-9]+)*$/i.test(locale)) {
+            problems.push(`${translationLabel} is not keyed by a language tag such as "de" or "pt-BR".`);
+        }
+        if (typeof translation !== 'object' || translation === null) {
+            problems.push(`${translationLabel} must be an object.`);
+            return;
+        }
+        if (translation.info !== undefined && typeof translation.info !== 'string') {
+            problems.push(`${translationLabel} "info" must be a string.`);
+        }
+        if (translation.detail !== undefined) {
+            problems.push(...validateDetail(translation.detail, translationLabel));
+        }
+        if (translation.narration !== undefined) {
+            problems.push(...validateSound(translation.narration, `${translationLabel} "narration"`));
+        }
+    });
+    return problems;
+}
+
+// Either a named path object, or an animation clip plus the node it moves (see cameraPath.js).
+function validateCameraPath(cameraPath) {
+    const problems = [];
+    if (typeof cameraPath !== 'object' || cameraPath === null) {
+        return ['"cameraPath" must be an object.'];
+    }
+    const hasObject = typeof cameraPath.object === 'string' && cameraPath.object;
+    const hasAnimation = typeof cameraPath.animation === 'string' && cameraPath.animation &&
+        typeof cameraPath.node === 'string' && cameraPath.node;
+    if (!hasObject && !hasAnimation) {
+        problems.push('"cameraPath" needs either "object" or both "animation" and "node".');
+    }
+    if (cameraPath.blend !== undefined && !(typeof cameraPath.blend === 'number' && cameraPath.blend >= 0 && cameraPath.blend <= 0.5)) {
+        problems.push('"cameraPath.blend" must be a number between 0 and 0.5.');
+    }
+    if (cameraPath.lookAt !== undefined) {
+        if (!Array.isArray(cameraPath.lookAt)) {
+            problems.push('"cameraPath.lookAt" must be an array.');
+        } else {
+            cameraPath.lookAt.forEach((segment, index) => {
+                const label = `"cameraPath.lookAt[${index}]"`;
+                if (!segment || typeof segment.target !== 'string' || !segment.target) {
+                    problems.push(`${label} is missing "target".`);
+                } else if (!(typeof segment.start === 'number' && typeof segment.end === 'number' &&
+                    segment.start >= 0 && segment.end <= 1 && segment.start <= segment.end)) {
+                    problems.push(`${label} needs "start" <= "end", both between 0 and 1.`);
+                }
+            });
+        }
+    }
+    return problems;
+}
+
+function validateCameraBounds(bounds) {
+    if (typeof bounds !== 'object' || bounds === null || typeof bounds.min !== 'object' || typeof bounds.max !== 'object' ||
+        bounds.min === null || bounds.max === null) {
+        return ['"cameraBounds" must be an object with "min" and "max" objects.'];
+    }
+    const problems = [];
+    ['x', 'z'].forEach(axis => {
+        const min = bounds.min[axis];
+        const max = bounds.max[axis];
+        if (!Number.isFinite(min) || !Number.isFinite(max) || min >= max) {
+            problems.push(`"cameraBounds" needs numbers with "min.${axis}" < "max.${axis}".`);
+        }
+    });
+    return problems;
+}
+
+function isProgress(value) {
+    return typeof value === 'number' && value >= 0 && value <= 1;
+}
+
+// Shared by ambient layers and creature sounds (see spatialAudio.js).
+function validateSound(sound, label) {
+    const problems = [];
+    if (typeof sound !== 'object' || sound === null) {
+        return [`${label} must be an object.`];
+    }
+    if (typeof sound.src !== 'string' || !sound.src) {
+        problems.push(`${label} "src" must be a path to an audio file.`);
+    }
+    if (sound.volume !== undefined && (typeof sound.volume !== 'number' || sound.volume < 0 || sound.volume > 1)) {
+        problems.push(`${label} "volume" must be a number between 0 and 1.`);
+    }
+    ['refDistance', 'maxDistance'].forEach(key => {
+        if (sound[key] !== undefined && !(typeof sound[key] === 'number' && sound[key] > 0)) {
+            problems.push(`${label} "${key}" must be a positive number.`);
+        }
+    });
+    return problems;
+}
+
+// Clip bindings and keyframed events (see timeline.js). Also used for timelines authored in the GLB.
+function validateTimeline(timeline) {
+    const problems = [];
+    if (typeof timeline !== 'object' || timeline === null) {
+        return ['"timeline" must be an object.'];
+    }
+    if (timeline.clips !== undefined) {
+        if (!Array.isArray(timeline.clips)) {
+            problems.push('"timeline.clips" must be an array.');
+        } else {
+            timeline.clips.forEach((clip, index) => {
+                const label = `"timeline.clips[${index}]"`;
+                if (!clip || typeof clip.name !== 'string' || !clip.name) {
+                    problems.push(`${label} is missing "name".`);
+                    return;
+                }
+                if ((clip.start !== undefined && !isProgress(clip.start)) || (clip.end !== undefined && !isProgress(clip.end))) {
+                    problems.push(`${label} "start" and "end" must be between 0 and 1.`);
+                } else if (clip.start !== undefined && clip.end !== undefined && clip.start > clip.end) {
+                    problems.push(`${label} "start" must not be after "end".`);
+                }
+                if (clip.loop !== undefined && typeof clip.loop !== 'boolean') {
+                    problems.push(`${label} "loop" must be true or false.`);
+                }
+            });
+        }
+    }
+    if (timeline.events !== undefined) {
+        if (!Array.isArray(timeline.events)) {
+            problems.push('"timeline.events" must be an array.');
+        } else {
+            timeline.events.forEach((event, index) => {
+                const label = `"timeline.events[${index}]"`;
+                if (!event || !isProgress(event.at)) {
+                    problems.push(`${label} needs "at" between 0 and 1.`);
+                    return;
+                }
+                if (!timelineActions.includes(event.action)) {
+                    problems.push(`${label} has unknown action "${event.action}" (expected one of ${timelineActions.join(', ')}).`);
+                }
+                if (['playVideo', 'stopVideo', 'showInfo'].includes(event.action) && (typeof event.target !== 'string' || !event.target)) {
+                    problems.push(`${label} "${event.action}" needs a "target" mesh name.`);
+                }
+                if (event.action === 'fadeAudio' && !(typeof event.volume === 'number' && event.volume >= 0 && event.volume <= 1)) {
+                    problems.push(`${label} "fadeAudio" needs "volume" between 0 and 1.`);
+                }
+                if (event.duration !== undefined && !(typeof event.duration === 'number' && event.duration >= 0)) {
+                    problems.push(`${label} "duration" must be a non-negative number of seconds.`);
+                }
+                if (event.direction !== undefined && !['forward', 'backward', 'both'].includes(event.direction)) {
+                    problems.push(`${label} "direction" must be "forward", "backward" or "both".`);
+                }
+            });
+        }
+    }
+    return problems;
+}
+
+// Returns a list of human-readable problems; an empty list means the manifest is usable.
+function validateSceneManifest(manifest) {
+    const problems = [];
+
+    if (!manifest || typeof manifest !== 'object') {
+        return ['Manifest is not a JSON object.'];
+    }
+    if (typeof manifest.model !== 'string' || !manifest.model) {
+        problems.push('"model" must be a path to a GLB/GLTF file.');
+    }
+    if (manifest.camera !== undefined && typeof manifest.camera !== 'string') {
+        problems.push('"camera" must be the name of a camera in the GLB.');
+    }
+
+    if (manifest.cameraPath !== undefined) {
+        problems.push(...validateCameraPath(manifest.cameraPath));
+    }
+    if (manifest.cameraBounds !== undefined) {
+        problems.push(...validateCameraBounds(manifest.cameraBounds));
+    }
+    if (manifest.infoPanelOffset !== undefined) {
+        const offset = manifest.infoPanelOffset;
+        if (typeof offset !== 'object' || offset === null || !Number.isFinite(offset.x) || !Number.isFinite(offset.y)) {
+            problems.push('"infoPanelOffset" must be an object with numeric "x" and "y".');
+        }
+    }
+    if (manifest.timeline !== undefined) {
+        problems.push(...validateTimeline(manifest.timeline));
+    }
+    if (manifest.autoPlay !== undefined) {
+        const autoPlay = manifest.autoPlay;
+        if (!autoPlay || typeof autoPlay !== 'object' || !(typeof autoPlay.distance === 'number' && autoPlay.distance > 0)) {
+            problems.push('"autoPlay" must be an object with a positive "distance".');
+        }
+    }
+
+    const background = manifest.audio && manifest.audio.background;
+    if (background) {
+        problems.push(...validateSound(background, '"audio.background"'));
+    }
+    const ambient = manifest.audio && manifest.audio.ambient;
+    if (ambient !== undefined) {
+        if (!Array.isArray(ambient)) {
+            problems.push('"audio.ambient" must be an array.');
+        } else {
+            ambient.forEach((layer, index) => {
+                const label = `"audio.ambient[${index}]"`;
+                problems.push(...validateSound(layer, label));
+                if (layer && !(isProgress(layer.start) && isProgress(layer.end) && layer.start <= layer.end)) {
+                    problems.push(`${label} needs "start" <= "end", both between 0 and 1.`);
+                }
+                if (layer && layer.fade !== undefined && !(typeof layer.fade === 'number' && layer.fade >= 0 && layer.fade <= 0.5)) {
+                    problems.push(`${label} "fade" must be a number between 0 and 0.5.`);
+                }
+            });
+        }
+    }
+
+    if (!Array.isArray(manifest.hotspots)) {
+        problems.push('"hotspots" must be an array.');
+        return problems;
+    }
+
+    const seenMeshes = new Set();
+    manifest.hotspots.forEach((hotspot, index) => {
+        const label = `hotspots[${index}]${hotspot && hotspot.mesh ? ` (${hotspot.mesh})` : ''}`;
+        if (!hotspot || typeof hotspot !== 'object') {
+            problems.push(`${label} must be an object.`);
+            return;
+        }
+        if (typeof hotspot.mesh !== 'string' || !hotspot.mesh) {
+            problems.push(`${label} is missing "mesh".`);
+        } else if (seenMeshes.has(hotspot.mesh)) {
+            problems.push(`${label} duplicates an earlier hotspot for the same mesh.`);
+        } else {
+            seenMeshes.add(hotspot.mesh);
+        }
+
+        if (!Array.isArray(hotspot.sources) || hotspot.sources.length === 0) {
+            problems.push(`${label} must list at least one entry in "sources".`);
+        } else {
+            hotspot.sources.forEach((source, sourceIndex) => {
+                problems.push(...validateSource(source, `${label} sources[${sourceIndex}]`));
+            });
+        }
+
+        if (hotspot.info !== undefined && typeof hotspot.info !== 'string') {
+            problems.push(`${label} "info" must be a string.`);
+        }
+        if (hotspot.poster !== undefined && (typeof hotspot.poster !== 'string' || !hotspot.poster)) {
+            problems.push(`${label} "poster" must be an image path.`);
+        }
+        if (hotspot.sound !== undefined) {
+            problems.push(...validateSound(hotspot.sound, `${label} "sound"`));
+        }
+        if (hotspot.narration !== undefined) {
+            problems.push(...validateSound(hotspot.narration, `${label} "narration"`));
+        }
+        if (hotspot.translations !== undefined) {
+            problems.push(...validateTranslations(hotspot.translations, label));
+        }
+        if (hotspot.detail !== undefined) {
+            problems.push(...validateDetail(hotspot.detail, label));
+        }
+        if (hotspot.behaviours !== undefined) {
+            if (typeof hotspot.behaviours !== 'object' || hotspot.behaviours === null) {
+                problems.push(`${label} "behaviours" must be an object.`);
+            } else {
+                Object.keys(hotspot.behaviours).forEach(key => {
+                    if (!(key in defaultBehaviours)) {
+                        problems.push(`${label} has unknown behaviour "${key}".`);
+                    } else if (typeof hotspot.behaviours[key] !== 'boolean') {
+                        problems.push(`${label} behaviour "${key}" must be true or false.`);
+                    }
+                });
+            }
+        }
+    });
+
+    return problems;
+}
+
+// Fill in optional fields so the rest of the app never has to check for them.
+// One hotspot with its defaults filled in; also used by the ?edit mode (sceneEditor.js) to preview a changed entry
+function normalizeHotspot(hotspot) {
+    const detail = hotspot.detail || {};
+    const translations = {};
+    Object.entries(hotspot.translations || {}).forEach(([locale, translation]) => {
+        translations[locale] = {
+            info: translation.info,
+            detail: translation.detail ? { ...translation.detail } : {},
+            narration: translation.narration ? { volume: 1, ...translation.narration } : null
+        };
+    });
+    return {
+        mesh: hotspot.mesh,
+        sources: hotspot.sources.map(source => ({ ...source })),
+        info: hotspot.info || '',
+        poster: hotspot.poster || null, // Still image shown if every video source fails
+        sound: hotspot.sound ? { volume: 0.8, ...hotspot.sound } : null,
+        narration: hotspot.narration ? { volume: 1, ...hotspot.narration } : null, // Voice-over played while focused
+        detail: {
+            title: detail.title || hotspot.mesh,
+            body: detail.body || hotspot.info || '',
+            links: (detail.links || []).map(link => ({ ...link })),
+            gallery: (detail.gallery || []).map(image => ({ ...image }))
+        },
+        behaviours: { ...defaultBehaviours, ...hotspot.behaviours },
+        translations: translations
+    };
+}
+
+function normalizeSceneManifest(manifest) {
+    // The background bed is just an ambient layer spanning the whole scroll range
+    const background = manifest.audio && manifest.audio.background;
+    const ambient = (manifest.audio && manifest.audio.ambient) || [];
+    const layers = [];
+    if (background) {
+        layers.push({ ...background, start: 0, end: 1, fade: 0 });
+    }
+    ambient.forEach(layer => layers.push({ ...layer }));
+    layers.forEach(layer => {
+        if (layer.volume === undefined) layer.volume = 0.5;
+        if (layer.loop === undefined) layer.loop = true;
+    });
+
+    return {
+        model: manifest.model,
+        camera: manifest.camera || null,
+        cameraPath: manifest.cameraPath ? {
+            ...manifest.cameraPath,
+            lookAt: (manifest.cameraPath.lookAt || []).map(segment => ({ ...segment }))
+        } : null,
+        // Hotspots within `distance` of the camera and in view play without being hovered
+        autoPlay: manifest.autoPlay ? { distance: manifest.autoPlay.distance } : null,
+        cameraBounds: {
+            min: { ...(manifest.cameraBounds || defaultCameraBounds).min },
+            max: { ...(manifest.cameraBounds || defaultCameraBounds).max }
+        },
+        infoPanelOffset: { ...defaultInfoPanelOffset, ...manifest.infoPanelOffset },
+        timeline: manifest.timeline ? {
+            clips: (manifest.timeline.clips || []).map(clip => ({ ...clip })),
+            events: (manifest.timeline.events || []).map(event => ({ ...event }))
+        } : null,
+        audio: {
+            layers: layers
+        },
+        hotspots: manifest.hotspots.map(normalizeHotspot)
+    };
+}
+
+// A normalized hotspot with its best translation for `locale` (exact tag, else the same language)
+// swapped in. Without one it keeps its default-language text and narration.
+function localizeHotspot(hotspot, locale) {
+    const match = matchLocale(locale, Object.keys(hotspot.translations));
+    if (!match) return hotspot;
+    const translation = hotspot.translations[match];
+    return {
+        ...hotspot,
+        info: translation.info !== undefined ? translation.info : hotspot.info,
+        detail: { ...hotspot.detail, ...translation.detail },
+        narration: translation.narration || hotspot.narration
+    };
+}
+
+// A normalized manifest with every hotspot localized (see localizeHotspot())
+function localizeSceneManifest(manifest, locale) {
+    return {
+        ...manifest,
+        hotspots: manifest.hotspots.map(hotspot => localizeHotspot(hotspot, locale))
+    };
+}
+
+// Fetch the manifest through the shared LoadingManager so it counts towards progress.
+// onLoad runs inside the loader callback, before the manager marks the manifest as done,
+// so any assets it starts loading keep the manager from firing onLoad early.
+function loadSceneManifest(url, loadingManager, onLoad, onError) {
+    const fileLoader = new THREE.FileLoader(loadingManager);
+    fileLoader.setResponseType('json');
+    fileLoader.load(url, (manifest) => {
+        const problems = validateSceneManifest(manifest);
+        if (problems.length > 0) {
+            onError(new Error(`Invalid scene manifest "${url}":\n- ${problems.join('\n- ')}`));
+            return;
+        }
+        onLoad(normalizeSceneManifest(manifest), manifest); // The file as written too, for the ?edit mode to export
+    }, undefined, (err) => {
+        onError(new Error(`Could not load scene manifest "${url}": ${err && err.message ? err.message : err}`, { cause: networkFailure(err) }));
+    });
+}
+
+// Report every hotspot whose mesh is absent from the loaded GLB, in one go.
+function findMissingHotspotMeshes(manifest, root) {
+    const meshNames = new Set();
+    root.traverse(child => {
+        if (child.isMesh) meshNames.add(child.name);
+    });
+    return manifest.hotspots
+        .map(hotspot => hotspot.mesh)
+        .filter(meshName => !meshNames.has(meshName));
+}
+
+export { defaultSceneManifestPath, loadSceneManifest, validateSceneManifest, validateTimeline, normalizeSceneManifest, normalizeHotspot, localizeHotspot, localizeSceneManifest, findMissingHotspotMeshes };
@@ -0,0 +1,122 @@
+// --- Scene Template ---
+// The overlay markup for one scene instance: loading overlay, canvas, info panel, detail card,
+// audio controls, minimap and the accessibility helpers. Everything is looked up by class inside
+// the container, so several scenes can share a page; the few ids needed for ARIA get a per-instance
+// prefix. The styles live in scene.css, scoped under `.cc-scene`, and are linked into the page once.
+// Labels come from the translator (i18n.js), which also sets the container's lang and direction;
+// localizeSceneTemplate() swaps them for another locale in place.
+
+const stylesheetUrl = import.meta.resolve('./scene.css');
+let instanceCount = 0;
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+const markup = (idPrefix, { t, formatPercent }) => `
+    <div class="loading-overlay">
+        <div class="loading-progress">${escapeHtml(t('loading.progress', { percent: formatPercent(0) }))}</div>
+        <div class="loading-bar progress-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0"><div class="progress-bar-fill"></div></div>
+        <button class="audio-unlock-button"></button>
+        <button class="load-retry-button" hidden></button>
+    </div>
+
+    <canvas class="scene-canvas" tabindex="0" role="application"></canvas>
+
+    <div class="hotspot-focus-ring"></div>
+    <div class="hotspot-announcer visually-hidden" aria-live="polite"></div>
+
+    <div class="media-progress progress-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0"><div class="progress-bar-fill"></div></div>
+
+    <div class="debug-hud"></div>
+
+    <div class="info-panel"></div>
+
+    <div class="audio-controls" role="group">
+        <button class="audio-mute-button" aria-pressed="false"></button>
+        <input class="audio-volume" type="range" min="0" max="100" step="1">
+    </div>
+
+    <nav class="minimap">
+        <div class="minimap-track"><div class="minimap-handle"></div></div>
+    </nav>
+
+    <div class="detail-card" role="dialog" aria-labelledby="${idPrefix}-detail-card-title" aria-hidden="true">
+        <button class="detail-card-close">&times;</button>
+        <h2 class="detail-card-title" id="${idPrefix}-detail-card-title"></h2>
+        <div class="detail-card-body"></div>
+        <ul class="detail-card-links"></ul>
+        <div class="detail-card-gallery"></div>
+    </div>
+`;
+
+// The fixed labels, as [class name, attribute or 'text', message key]. The mute button's label
+// follows its state, so audioControls.js sets it.
+const labels = [
+    ['loading-bar', 'aria-label', 'loading.label'],
+    ['audio-unlock-button', 'text', 'loading.enter'],
+    ['load-retry-button', 'text', 'loading.retry'],
+    ['scene-canvas', 'aria-label', 'scene.label'],
+    ['media-progress', 'aria-label', 'media.label'],
+    ['audio-controls', 'aria-label', 'audio.group'],
+    ['audio-volume', 'aria-label', 'audio.volume'],
+    ['minimap', 'aria-label', 'minimap.label'],
+    ['detail-card-close', 'aria-label', 'detail.close']
+];
+
+// The page may already link scene.css itself (index.html does, to avoid a flash of unstyled overlay)
+function linkStylesheet() {
+    const linked = Array.from(document.querySelectorAll('link[rel="stylesheet"]')).some(link => link.href === stylesheetUrl);
+    if (linked) return;
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = stylesheetUrl;
+    document.head.appendChild(link);
+}
+
+// Fills `containerElement` with the scene markup, labelled in the translator's locale, and returns its elements by role.
+function renderSceneTemplate(containerElement, translator) {
+    linkStylesheet();
+    instanceCount++;
+    containerElement.classList.add('cc-scene');
+    containerElement.innerHTML = markup(`cc-scene-${instanceCount}`, translator);
+    localizeSceneTemplate(containerElement, translator);
+
+    const find = (className) => containerElement.querySelector(`.${className}`);
+    return {
+        loadingOverlay: find('loading-overlay'),
+        loadingProgress: find('loading-progress'),
+        loadingBar: find('loading-bar'),
+        mediaProgress: find('media-progress'),
+        audioUnlockButton: find('audio-unlock-button'),
+        loadRetryButton: find('load-retry-button'),
+        canvas: find('scene-canvas'),
+        infoPanel: find('info-panel'),
+        detailCard: find('detail-card'),
+        audioControls: find('audio-controls'),
+        minimap: find('minimap'),
+        focusRing: find('hotspot-focus-ring'),
+        announcer: find('hotspot-announcer'),
+        debugHud: find('debug-hud')
+    };
+}
+
+// Sets the container's lang and direction and the fixed labels from `translator`. Text the scene
+// writes itself (progress, errors, the unlock button's later states) is up to the scene.
+function localizeSceneTemplate(containerElement, translator) {
+    containerElement.lang = translator.locale;
+    containerElement.dir = translator.dir;
+    labels.forEach(([className, attribute, key]) => {
+        const element = containerElement.querySelector(`.${className}`);
+        if (attribute === 'text') element.textContent = translator.t(key);
+        else element.setAttribute(attribute, translator.t(key));
+    });
+}
+
+// Empties the container again (see dispose() in scene.js). The `cc-scene` class stays, since
+// the page may have set it itself.
+function clearSceneTemplate(containerElement) {
+    containerElement.replaceChildren();
+}
+
+export { renderSceneTemplate, localizeSceneTemplate, clearSceneTemplate };
@@ -0,0 +1,228 @@
+// --- Service Worker ---
+// Keeps the scene available offline and saves returning visitors the re-download:
+//   - install precaches the page, its modules, scene.json and what the manifest declares (model,
+//     audio, posters), plus the three.js modules from the import map
+//   - hotspot videos are cached once the page reports which source it picked (see offlineCache.js);
+//     only the page can tell whether this browser plays the WebM, the stacked MP4 or the HEVC file
+//   - requests are answered cache-first; same-origin files are revalidated in the background,
+//     and only re-downloaded when their ETag or Last-Modified changed
+//   - video range requests are served from the cached file as 206 partial responses
+// Bump `cacheVersion` whenever the app files change; old caches are dropped on activate.
+
+const cacheVersion = 18;
+const cachePrefix = 'cc-scene-';
+const appCacheName = `${cachePrefix}app-v${cacheVersion}`;
+// Must match the import map in index.html. The URL is versioned, so its cache never needs revalidating.
+const threeBaseUrl = 'https://cdn.jsdelivr.net/npm/three@0.164.1/';
+const threeCacheName = `${cachePrefix}three-0.164.1`;
+const manifestPath = 'scene.json';
+
+const appFiles = [
+    './',
+    'index.html',
+    manifestPath,
+    'bootstrap.js',
+    'main.js',
+    'scene.js',
+    'sceneTemplate.js',
+    'scene.css',
+    'ccSceneElement.js',
+    'accessibility.js',
+    'alphaVideoMaterial.js',
+    'assetErrors.js',
+    'audioControls.js',
+    'cameraFocus.js',
+    'cameraPath.js',
+    'debugHud.js',
+    'deepLink.js',
+    'detailCard.js',
+    'frameScheduler.js',
+    'hotspotPlayback.js',
+    'i18n.js',
+    'loadProgress.js',
+    'locales/ar.js',
+    'locales/de.js',
+    'locales/en.js',
+    'minimap.js',
+    'offlineCache.js',
+    'pointerInput.js',
+    'resourceTracker.js',
+    'postProcessing.js',
+    'qualityGovernor.js',
+    'sceneEditor.js',
+    'sceneManifest.js',
+    'sourceSelection.js',
+    'spatialAudio.js',
+    'starfield.js',
+    'staticFallback.js',
+    'telemetry.js',
+    'timeline.js'
+];
+// The module graph behind the import map; DRACO/Basis decoders are cached on first use instead
+const threeFiles = [
+    'build/three.module.js',
+    'examples/jsm/capabilities/WebGL.js',
+    'examples/jsm/loaders/GLTFLoader.js',
+    'examples/jsm/utils/BufferGeometryUtils.js',
+    'examples/jsm/loaders/DRACOLoader.js',
+    'examples/jsm/loaders/KTX2Loader.js',
+    'examples/jsm/utils/WorkerPool.js',
+    'examples/jsm/libs/ktx-parse.module.js',
+    'examples/jsm/libs/zstddec.module.js',
+    'examples/jsm/libs/meshopt_decoder.module.js',
+    'examples/jsm/postprocessing/EffectComposer.js',
+    'examples/jsm/postprocessing/Pass.js',
+    'examples/jsm/postprocessing/MaskPass.js',
+    'examples/jsm/postprocessing/RenderPass.js',
+    'examples/jsm/postprocessing/ShaderPass.js',
+    'examples/jsm/postprocessing/UnrealBloomPass.js',
+    'examples/jsm/postprocessing/BokehPass.js',
+    'examples/jsm/postprocessing/OutputPass.js',
+    'examples/jsm/shaders/CopyShader.js',
+    'examples/jsm/shaders/LuminosityHighPassShader.js',
+    'examples/jsm/shaders/BokehShader.js',
+    'examples/jsm/shaders/OutputShader.js',
+    'examples/jsm/controls/OrbitControls.js', // The ?edit mode's (sceneEditor.js)
+    'examples/jsm/controls/TransformControls.js'
+].map(path => threeBaseUrl + path);
+
+const revalidated = new Set(); // URLs already checked since this worker started
+
+// Every asset path in the manifest, leaving out the video sources (see above)
+function collectManifestAssets(manifest) {
+    const paths = [manifest.model];
+    const audio = manifest.audio || {};
+    if (audio.background) paths.push(audio.background.src);
+    (audio.ambient || []).forEach(layer => paths.push(layer.src));
+    (manifest.hotspots || []).forEach(hotspot => {
+        if (hotspot.sound) paths.push(hotspot.sound.src);
+        if (hotspot.poster) paths.push(hotspot.poster);
+        ((hotspot.detail && hotspot.detail.gallery) || []).forEach(image => paths.push(image.src));
+    });
+    return paths.filter(Boolean);
+}
+
+// Large assets are added one by one, so a single missing file doesn't fail the whole install
+async function cacheEach(cache, urls) {
+    await Promise.all(urls.map(async (url) => {
+        if (await cache.match(url)) return;
+        try {
+            await cache.add(url);
+        } catch (err) {
+            console.warn(`Could not cache "${url}" for offline use.`, err);
+        }
+    }));
+}
+
+async function precache() {
+    const appCache = await caches.open(appCacheName);
+    await appCache.addAll(appFiles);
+    const threeCache = await caches.open(threeCacheName);
+    await threeCache.addAll(threeFiles);
+
+    const manifestResponse = await appCache.match(manifestPath);
+    const manifest = await manifestResponse.json();
+    await cacheEach(appCache, collectManifestAssets(manifest).map(path => new URL(path, self.registration.scope).href));
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precache());
+});
+
+self.addEventListener('activate', (event) => {
+    const currentCaches = [appCacheName, threeCacheName];
+    event.waitUntil(caches.keys().then(names => Promise.all(names
+        .filter(name => name.startsWith(cachePrefix) && !currentCaches.includes(name))
+        .map(name => caches.delete(name))
+    )).then(() => self.clients.claim()));
+});
+
+// Sent by offlineCache.js with the absolute URLs of the video files the page is playing
+self.addEventListener('message', (event) => {
+    if (!event.data || event.data.type !== 'cache-media') return;
+    event.waitUntil(caches.open(appCacheName).then(cache => cacheEach(cache, event.data.urls)));
+});
+
+// Navigations share one entry whatever their query string (?debug, ?quality=...)
+function cacheKey(request) {
+    if (request.mode !== 'navigate') return request.url;
+    const url = new URL(request.url);
+    return url.origin + url.pathname;
+}
+
+function isUnchanged(cached, fresh) {
+    const etag = fresh.headers.get('ETag');
+    if (etag) return etag === cached.headers.get('ETag');
+    const lastModified = fresh.headers.get('Last-Modified');
+    if (lastModified) return lastModified === cached.headers.get('Last-Modified');
+    return false; // No validators to compare; fetch it again to be safe
+}
+
+// A HEAD request first, so an unchanged GLB or video isn't downloaded again
+async function revalidate(key, cached) {
+    if (revalidated.has(key)) return;
+    revalidated.add(key);
+    try {
+        const head = await fetch(key, { method: 'HEAD', cache: 'no-store' });
+        if (!head.ok || isUnchanged(cached, head)) return;
+        const response = await fetch(key, { cache: 'no-store' });
+        if (response.status !== 200) return;
+        const cache = await caches.open(appCacheName);
+        await cache.put(key, response);
+    } catch (err) {
+        // Offline: keep serving the cached copy
+    }
+}
+
+// <video> asks for byte ranges; cut them out of the cached file
+async function createRangeResponse(request, cached) {
+    const blob = await cached.blob();
+    const match = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get('Range'));
+    let start = 0;
+    let end = blob.size - 1;
+    if (match && match[1] === '' && match[2] !== '') {
+        start = Math.max(blob.size - Number(match[2]), 0); // Suffix range: the last N bytes
+    } else if (match) {
+        start = Number(match[1]);
+        if (match[2] !== '') end = Math.min(Number(match[2]), end);
+    }
+    if (start > end) {
+        return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+    }
+    return new Response(blob.slice(start, end + 1), {
+        status: 206,
+        headers: {
+            'Content-Type': cached.headers.get('Content-Type') || blob.type,
+            'Content-Length': String(end - start + 1),
+            'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+            'Accept-Ranges': 'bytes'
+        }
+    });
+}
+
+async function respond(event, fromCdn) {
+    const request = event.request;
+    const key = cacheKey(request);
+    const cached = await caches.match(key);
+    if (cached) {
+        if (!fromCdn) event.waitUntil(revalidate(key, cached));
+        return request.headers.has('Range') ? createRangeResponse(request, cached) : cached;
+    }
+
+    const response = await fetch(request);
+    // Partial (206) and opaque responses aren't worth keeping; whole files are
+    if (response.status === 200) {
+        const copy = response.clone();
+        event.waitUntil(caches.open(fromCdn ? threeCacheName : appCacheName).then(cache => cache.put(key, copy)));
+    }
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const fromCdn = request.url.startsWith(threeBaseUrl);
+    // Anything else cross-origin (e.g. links in detail cards) goes straight to the network
+    if (!fromCdn && new URL(request.url).origin !== self.location.origin) return;
+    event.respondWith(respond(event, fromCdn));
+});
@@ -0,0 +1,179 @@
+// --- Video Source Selection ---
+// Picks the best playable source from a hotspot's ordered source list by probing the
+// browser (canPlayType + MediaCapabilities) instead of sniffing the user agent.
+// A `?codec=<kind>` query parameter forces a specific kind for debugging.
+
+// Supported source kinds, with the MIME type probed when a source doesn't give its own `type`.
+// `embeddedAlpha` kinds carry transparency in the codec itself, which canPlayType can't vouch for,
+// so they are additionally checked by decoding a frame of the source's own file and looking for
+// transparent pixels. AV1 in MP4 has no alpha channel browsers decode, so it is an opaque fallback.
+const sourceKinds = {
+    'webm-vp9-alpha': { type: 'video/webm; codecs="vp09.00.10.08"', embeddedAlpha: true },
+    'hevc-alpha': { type: 'video/mp4; codecs="hvc1.1.6.L123.B0"', embeddedAlpha: true },
+    'av1': { type: 'video/mp4; codecs="av01.0.05M.08"', embeddedAlpha: false },
+    'mp4-stacked-alpha': { type: 'video/mp4; codecs="avc1.42E01E"', embeddedAlpha: false },
+    'mp4-alpha-mask': { type: 'video/mp4; codecs="avc1.42E01E"', embeddedAlpha: false },
+    'sprite-sheet': { type: 'image/png', embeddedAlpha: false }
+};
+
+const codecOverrideParam = 'codec';
+const alphaProbeTimeout = 4000; // ms to wait for a first frame before giving up on a source
+const capabilityCache = {}; // canPlayType + MediaCapabilities answers keyed by type, shared by all hotspots
+const alphaCache = {}; // Alpha probe results keyed by file, since each hotspot has its own
+
+function getForcedSourceKind() {
+    const forced = new URLSearchParams(window.location.search).get(codecOverrideParam);
+    if (forced && !sourceKinds[forced]) {
+        console.warn(`Ignoring ?${codecOverrideParam}=${forced}: expected one of ${Object.keys(sourceKinds).join(', ')}.`);
+        return null;
+    }
+    return forced;
+}
+
+// canPlayType answers "", "maybe" or "probably"; treat "maybe" as worth a closer look.
+function canPlayMimeType(type) {
+    if (type.startsWith('image/')) return true;
+    const video = document.createElement('video');
+    return video.canPlayType(type) !== '';
+}
+
+function queryMediaCapabilities(source, type) {
+    if (type.startsWith('image/') || !navigator.mediaCapabilities || !navigator.mediaCapabilities.decodingInfo) {
+        return Promise.resolve({ supported: true, smooth: undefined, powerEfficient: undefined });
+    }
+    return navigator.mediaCapabilities.decodingInfo({
+        type: 'file',
+        video: {
+            contentType: type,
+            width: source.width || 1280,
+            height: source.height || 720,
+            bitrate: source.bitrate || 4000000,
+            framerate: source.framerate || 30
+        }
+    }).catch(() => {
+        // Some browsers reject codec strings they don't understand instead of answering "unsupported"
+        return { supported: false };
+    });
+}
+
+// Decode the first frame into a small canvas and check that some of it is see-through.
+// Browsers that can play the codec but drop its alpha channel render fully opaque frames.
+// Resolves to true or false once a frame was read, or null when the file never gave one
+// (load error, timeout, unreadable pixels): that says nothing about the codec.
+function verifyEmbeddedAlpha(src) {
+    return new Promise(resolve => {
+        const video = document.createElement('video');
+        video.crossOrigin = 'anonymous';
+        video.muted = true;
+        video.playsInline = true;
+        video.preload = 'auto';
+
+        let settled = false;
+        const finish = (result) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timeoutId);
+            video.removeAttribute('src');
+            video.load();
+            resolve(result);
+        };
+        const timeoutId = setTimeout(() => finish(null), alphaProbeTimeout);
+
+        video.addEventListener('loadeddata', () => {
+            try {
+                const probeCanvas = document.createElement('canvas');
+                probeCanvas.width = 32;
+                probeCanvas.height = 32;
+                const ctx = probeCanvas.getContext('2d', { alpha: true, willReadFrequently: true });
+                ctx.drawImage(video, 0, 0, probeCanvas.width, probeCanvas.height);
+                const pixels = ctx.getImageData(0, 0, probeCanvas.width, probeCanvas.height).data;
+                for (let i = 3; i < pixels.length; i += 4) {
+                    if (pixels[i] < 250) { finish(true); return; }
+                }
+                finish(false);
+            } catch (e) {
+                console.warn(`Alpha probe failed for ${src}:`, e);
+                finish(null);
+            }
+        });
+        video.addEventListener('error', () => finish(null));
+        video.src = src;
+    });
+}
+
+// Resolves to { supported, reason, quality } for a MIME type; cached, as the answer is the browser's.
+function probeCapability(source, type) {
+    if (!capabilityCache[type]) {
+        if (!canPlayMimeType(type)) {
+            capabilityCache[type] = Promise.resolve({ supported: false, reason: `canPlayType rejected ${type}` });
+        } else {
+            capabilityCache[type] = queryMediaCapabilities(source, type).then(info => {
+                if (!info.supported) {
+                    return { supported: false, reason: `MediaCapabilities reports ${type} unsupported` };
+                }
+                const quality = info.smooth === undefined ? '' : ` (smooth: ${info.smooth}, powerEfficient: ${info.powerEfficient})`;
+                return { supported: true, reason: `${type} playable`, quality };
+            });
+        }
+    }
+    return capabilityCache[type];
+}
+
+// Resolves to { supported, reason } for one candidate.
+// A file that fails to load is still tried: the alpha question stays open and playback errors
+// fall back on their own, whereas rejecting it would wrongly rule out the codec.
+function probeSource(source) {
+    const kindInfo = sourceKinds[source.kind];
+    const type = source.type || kindInfo.type;
+
+    return probeCapability(source, type).then(capability => {
+        if (!capability.supported) return capability;
+        if (!kindInfo.embeddedAlpha) {
+            return { supported: true, reason: `${capability.reason}${capability.quality}` };
+        }
+        if (!(source.src in alphaCache)) {
+            alphaCache[source.src] = verifyEmbeddedAlpha(source.src);
+        }
+        return alphaCache[source.src].then(hasAlpha => {
+            if (hasAlpha === null) {
+                return { supported: true, reason: `${capability.reason}, alpha unverified (no frame from ${source.src})${capability.quality}` };
+            }
+            return hasAlpha
+                ? { supported: true, reason: `${capability.reason} with alpha${capability.quality}` }
+                : { supported: false, reason: `${type} decodes without transparency` };
+        });
+    });
+}
+
+// Resolves to the chosen source object (or null), walking the list in the author's order.
+function selectVideoSource(meshName, sources) {
+    const forcedKind = getForcedSourceKind();
+    if (forcedKind) {
+        const forced = sources.find(source => source.kind === forcedKind);
+        if (forced) {
+            console.log(`Video source for ${meshName}: ${forced.kind} (${forced.src}) forced by ?${codecOverrideParam}.`);
+            return Promise.resolve(forced);
+        }
+        console.warn(`Video source for ${meshName}: no "${forcedKind}" source to force, negotiating instead.`);
+    }
+
+    const rejected = [];
+    const tryCandidate = (index) => {
+        if (index >= sources.length) {
+            console.warn(`Video source for ${meshName}: nothing playable. Rejected: ${rejected.join('; ')}`);
+            return Promise.resolve(null);
+        }
+        const source = sources[index];
+        return probeSource(source).then(result => {
+            if (!result.supported) {
+                rejected.push(`${source.kind} (${result.reason})`);
+                return tryCandidate(index + 1);
+            }
+            console.log(`Video source for ${meshName}: ${source.kind} (${source.src}) - ${result.reason}.${rejected.length ? ` Rejected: ${rejected.join('; ')}` : ''}`);
+            return source;
+        });
+    };
+    return tryCandidate(0);
+}
+
+export { sourceKinds, selectVideoSource };
@@ -0,0 +1,218 @@
+import * as THREE from 'three';
+import { networkFailure } from './assetErrors.js';
+
+// --- Spatial Audio ---
+// Owns every sound in the scene:
+//   - ambient layers ("audio.background" plus "audio.ambient" in scene.json) that cross-fade by scroll
+//     section, e.g. { "src": "assets/forest.wav", "start": 0, "end": 0.4, "volume": 0.5 }
+//   - one PositionalAudio per creature from its hotspot "sound" entry, e.g.
+//     { "src": "assets/moth_flutter.wav", "volume": 0.8 }, attached to the mesh so it pans and fades with distance
+//   - a narration (voice-over) per hotspot from its "narration" entry, already localized by the
+//     manifest; it's fetched the first time its creature is focused and plays once
+// Hovering a creature, or a narration playing, ducks the ambient bed; hovering brings that creature's sound up.
+// Sounds stream in after the scene is shown, reporting bytes to the 'media' stage of loadProgress.js.
+
+const defaultLayerFade = 0.1; // Progress over which a layer fades in/out at its section edges
+const duckLevel = 0.35; // Bed level while a creature is hovered
+const creatureIdleLevel = 0.3; // Creature level when not hovered, relative to its configured volume
+const levelSmoothing = 4; // Higher = faster approach to target levels (per second)
+
+// Linear rolloff sized to how far the camera can travel: a creature is at full level within
+// 5% of the scroll range and silent beyond 30% of it, unless the hotspot overrides either.
+function rolloffForRange(range, soundConfig) {
+    return {
+        refDistance: soundConfig.refDistance !== undefined ? soundConfig.refDistance : range * 0.05,
+        maxDistance: soundConfig.maxDistance !== undefined ? soundConfig.maxDistance : range * 0.3
+    };
+}
+
+function layerWeight(layer, progress) {
+    const fade = layer.fade !== undefined ? layer.fade : defaultLayerFade;
+    if (progress < layer.start - fade || progress > layer.end + fade) return 0;
+    const fadeIn = fade > 0 ? THREE.MathUtils.smoothstep(progress, layer.start - fade, layer.start) : 1;
+    const fadeOut = fade > 0 ? 1 - THREE.MathUtils.smoothstep(progress, layer.end, layer.end + fade) : 1;
+    return Math.min(fadeIn, fadeOut);
+}
+
+// Load failures go to `errorReporter` (assetErrors.js) as 'audio'; the scene carries on without that sound.
+function createSceneAudio(listener, loadProgress, errorReporter) {
+    const fileLoader = new THREE.FileLoader().setResponseType('arraybuffer');
+    const layers = []; // { sound, config, level }
+    const creatures = {}; // meshName -> { sound, config, level }
+    const narrations = {}; // meshName -> { sound, config, loading }
+    let currentNarration = null; // Mesh name of the narration that should be playing
+    let started = false;
+    let duck = 1;
+    let bedVolume = 1; // Scaled by timeline fades
+    let bedFade = null; // { from, to, duration, elapsed }
+
+    // THREE.AudioLoader's steps, kept apart so only a failed request counts as a network failure;
+    // a file that won't decode, or an error thrown by `onLoad`, isn't retried
+    function loadAudioBuffer(url, onLoad, onProgress, onError) {
+        fileLoader.load(url, (data) => {
+            listener.context.decodeAudioData(data.slice(0)).then(onLoad, onError);
+        }, onProgress, (error) => onError(networkFailure(error)));
+    }
+
+    function loadInto(sound, config) {
+        const progress = loadProgress.add(config.src, 'media');
+        errorReporter.retry(`Audio "${config.src}"`, (onSuccess, onFailure) => {
+            loadAudioBuffer(config.src, onSuccess, (event) => progress.onProgress(event), onFailure);
+        }, (buffer) => {
+            sound.setBuffer(buffer);
+            sound.setLoop(config.loop !== false);
+            if (started && !sound.isPlaying) sound.play();
+            progress.finish();
+            console.log(`Audio "${config.src}" loaded.`);
+        }, (err) => {
+            progress.finish();
+            errorReporter.report('audio', err, `Could not load audio "${config.src}"; continuing without it.`);
+        });
+    }
+
+    function stopNarration() {
+        const narration = currentNarration ? narrations[currentNarration] : null;
+        if (narration && narration.sound.isPlaying) narration.sound.stop();
+        currentNarration = null;
+    }
+
+    function isNarrating() {
+        return currentNarration !== null && narrations[currentNarration].sound.isPlaying;
+    }
+
+    function approach(current, target, delta) {
+        return current + (target - current) * Math.min(1, delta * levelSmoothing);
+    }
+
+    // Returns true if the level actually changed
+    function setLevel(entry, level) {
+        if (Math.abs(entry.level - level) < 0.001) return false;
+        entry.level = level;
+        entry.sound.setVolume(level);
+        return true;
+    }
+
+    return {
+        addAmbientLayer(config) {
+            const sound = new THREE.Audio(listener);
+            sound.setVolume(0);
+            layers.push({ sound: sound, config: config, level: 0 });
+            loadInto(sound, config);
+        },
+
+        // `range` is the distance the camera can travel, used to size the rolloff
+        addCreatureSound(mesh, config, range) {
+            const sound = new THREE.PositionalAudio(listener);
+            sound.setVolume(0);
+            const rolloff = rolloffForRange(range, config);
+            sound.setDistanceModel('linear');
+            sound.setRefDistance(rolloff.refDistance);
+            sound.setMaxDistance(rolloff.maxDistance);
+            sound.setRolloffFactor(1);
+            mesh.add(sound);
+            creatures[mesh.name] = { sound: sound, config: config, level: 0 };
+            loadInto(sound, config);
+        },
+
+        // Replaces the hotspot's earlier narration (e.g. another language's), stopping it if it was playing
+        addNarration(meshName, config) {
+            const previous = narrations[meshName];
+            if (previous) {
+                if (currentNarration === meshName) stopNarration();
+                previous.sound.disconnect();
+                previous.sound.gain.disconnect();
+            }
+            const sound = new THREE.Audio(listener);
+            sound.setVolume(config.volume);
+            narrations[meshName] = { sound: sound, config: config, loading: false };
+        },
+
+        // Replaces any narration already playing; does nothing for a hotspot without one
+        playNarration(meshName) {
+            stopNarration();
+            const narration = narrations[meshName];
+            if (!narration || !started) return;
+            currentNarration = meshName;
+            if (narration.sound.buffer) {
+                narration.sound.play();
+                return;
+            }
+            if (narration.loading) return;
+            narration.loading = true;
+            errorReporter.retry(`Narration "${narration.config.src}"`, (onSuccess, onFailure) => {
+                loadAudioBuffer(narration.config.src, onSuccess, undefined, onFailure);
+            }, (buffer) => {
+                narration.sound.setBuffer(buffer);
+                narration.sound.setLoop(false);
+                if (started && currentNarration === meshName && narrations[meshName] === narration) narration.sound.play();
+            }, (err) => {
+                narration.loading = false;
+                errorReporter.report('audio', err, `Could not load narration "${narration.config.src}"; continuing without it.`);
+            });
+        },
+
+        stopNarration: stopNarration,
+
+        // Call once the AudioContext is running
+        start() {
+            started = true;
+            [...layers, ...Object.values(creatures)].forEach(entry => {
+                if (entry.sound.buffer && !entry.sound.isPlaying) entry.sound.play();
+            });
+        },
+
+        stop() {
+            started = false;
+            stopNarration();
+            [...layers, ...Object.values(creatures)].forEach(entry => {
+                if (entry.sound.isPlaying) entry.sound.stop();
+            });
+        },
+
+        isStarted() {
+            return started;
+        },
+
+        // Ramp the whole ambient bed to `volume` (0..1) over `duration` seconds
+        fadeBed(volume, duration) {
+            bedFade = { from: bedVolume, to: volume, duration: Math.max(duration, 0.0001), elapsed: 0 };
+        },
+
+        // Returns true while levels are still moving towards their targets
+        update(progress, hoveredMeshName, delta) {
+            if (bedFade) {
+                bedFade.elapsed = Math.min(bedFade.elapsed + delta, bedFade.duration);
+                bedVolume = THREE.MathUtils.lerp(bedFade.from, bedFade.to, bedFade.elapsed / bedFade.duration);
+                if (bedFade.elapsed >= bedFade.duration) bedFade = null;
+            }
+
+            const hoveredCreature = hoveredMeshName ? creatures[hoveredMeshName] : null;
+            duck = approach(duck, hoveredCreature || isNarrating() ? duckLevel : 1, delta);
+
+            let changing = bedFade !== null;
+            layers.forEach(layer => {
+                if (setLevel(layer, layer.config.volume * layerWeight(layer.config, progress) * bedVolume * duck)) changing = true;
+            });
+            Object.entries(creatures).forEach(([meshName, creature]) => {
+                const target = creature.config.volume * (meshName === hoveredMeshName ? 1 : creatureIdleLevel);
+                if (setLevel(creature, approach(creature.level, target, delta))) changing = true;
+            });
+            return changing;
+        },
+
+        dispose() {
+            this.stop();
+            Object.values(creatures).forEach(creature => {
+                if (creature.sound.parent) creature.sound.parent.remove(creature.sound);
+                creature.sound.disconnect();
+                creature.sound.gain.disconnect();
+            });
+            [...layers, ...Object.values(narrations)].forEach(entry => {
+                entry.sound.disconnect();
+                entry.sound.gain.disconnect();
+            });
+        }
+    };
+}
+
+export { createSceneAudio };
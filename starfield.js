@@ -0,0 +1,183 @@
+import * as THREE from 'three';
+
+// --- Starfield ---
+// Shader-driven sky in a few depth layers. Each star carries its own twinkle phase, colour
+// temperature and brightness, so the sky shimmers unevenly instead of pulsing as one.
+// Everything animates on the GPU; per frame the CPU only sets the time and pointer uniforms.
+//   - parallax: far layers follow the camera by `follow`, so they drift less than near ones
+//   - shimmer: stars near the pointer twinkle faster and brighter
+// Star positions come from a seeded random sequence, so the sky is the same on every load.
+
+const starSeed = 1977;
+const layerSettings = [
+    { share: 0.5, minRadius: 50, maxRadius: 90, follow: 0, size: 0.15 },
+    { share: 0.3, minRadius: 90, maxRadius: 130, follow: 0.4, size: 0.22 },
+    { share: 0.2, minRadius: 130, maxRadius: 150, follow: 0.8, size: 0.3 }
+];
+const shimmerRadius = 0.35; // In normalized device coordinates
+
+const vertexShader = /* glsl */`
+    uniform float time;
+    uniform float twinkleAmount;
+    uniform vec2 pointer;
+    uniform float shimmerRadius;
+    uniform float follow;
+    uniform float size;
+    uniform float pointScale;
+
+    attribute float phase;
+    attribute float temperature;
+    attribute float brightness;
+
+    varying vec3 vColor;
+    varying float vAlpha;
+
+    // 0 = cool red-orange, 0.5 = white, 1 = hot blue
+    vec3 temperatureColor(float t) {
+        vec3 warm = vec3(1.0, 0.72, 0.48);
+        vec3 white = vec3(1.0, 0.97, 0.92);
+        vec3 hot = vec3(0.66, 0.77, 1.0);
+        return t < 0.5 ? mix(warm, white, t * 2.0) : mix(white, hot, t * 2.0 - 1.0);
+    }
+
+    void main() {
+        vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+        worldPosition.xyz += cameraPosition * follow;
+        vec4 mvPosition = viewMatrix * worldPosition;
+        gl_Position = projectionMatrix * mvPosition;
+
+        vec2 ndc = gl_Position.xy / gl_Position.w;
+        float shimmer = (1.0 - smoothstep(0.0, shimmerRadius, distance(ndc, pointer))) * twinkleAmount;
+        float speed = 0.6 + fract(phase * 7.31) * 1.4 + shimmer * 4.0;
+        float twinkle = 1.0 + twinkleAmount * 0.35 * sin(time * speed + phase) + shimmer * 0.4;
+
+        vColor = temperatureColor(temperature);
+        vAlpha = brightness * twinkle;
+        gl_PointSize = max(size * (0.85 + 0.15 * twinkle) * pointScale / -mvPosition.z, 1.0);
+    }
+`;
+
+const fragmentShader = /* glsl */`
+    varying vec3 vColor;
+    varying float vAlpha;
+
+    void main() {
+        float edge = 1.0 - smoothstep(0.3, 0.5, length(gl_PointCoord - 0.5));
+        float alpha = edge * clamp(vAlpha, 0.0, 1.0);
+        if (alpha < 0.01) discard;
+
+        gl_FragColor = vec4(vColor, alpha);
+
+        #include <colorspace_fragment>
+    }
+`;
+
+function createLayerGeometry(count, settings) {
+    const positions = new Float32Array(count * 3);
+    const phases = new Float32Array(count);
+    const temperatures = new Float32Array(count);
+    const brightnesses = new Float32Array(count);
+    const direction = new THREE.Vector3();
+
+    for (let i = 0; i < count; i++) {
+        // Uniform direction on the sphere, radius within the layer's shell
+        const z = THREE.MathUtils.seededRandom() * 2 - 1;
+        const angle = THREE.MathUtils.seededRandom() * Math.PI * 2;
+        const ring = Math.sqrt(1 - z * z);
+        direction.set(ring * Math.cos(angle), ring * Math.sin(angle), z);
+        const radius = THREE.MathUtils.lerp(settings.minRadius, settings.maxRadius, THREE.MathUtils.seededRandom());
+        positions[i * 3] = direction.x * radius;
+        positions[i * 3 + 1] = direction.y * radius;
+        positions[i * 3 + 2] = direction.z * radius;
+
+        phases[i] = THREE.MathUtils.seededRandom() * Math.PI * 2;
+        // Most stars near white, with a tail towards either end
+        const spread = THREE.MathUtils.seededRandom() - 0.5;
+        temperatures[i] = 0.5 + spread * Math.abs(spread) * 2;
+        brightnesses[i] = 0.35 + Math.pow(THREE.MathUtils.seededRandom(), 3) * 0.65; // Few bright stars, many faint
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('phase', new THREE.BufferAttribute(phases, 1));
+    geometry.setAttribute('temperature', new THREE.BufferAttribute(temperatures, 1));
+    geometry.setAttribute('brightness', new THREE.BufferAttribute(brightnesses, 1));
+    return geometry;
+}
+
+function createStarfield(starCount) {
+    const group = new THREE.Group();
+    group.name = 'Starfield';
+    THREE.MathUtils.seededRandom(starSeed);
+
+    const layers = layerSettings.map((settings, index) => {
+        const count = Math.round(starCount * settings.share);
+        const material = new THREE.ShaderMaterial({
+            name: `StarfieldMaterial (layer ${index})`,
+            uniforms: {
+                time: { value: 0 },
+                twinkleAmount: { value: 1 },
+                pointer: { value: new THREE.Vector2(-2, -2) },
+                shimmerRadius: { value: shimmerRadius },
+                follow: { value: settings.follow },
+                size: { value: settings.size },
+                pointScale: { value: 1 }
+            },
+            vertexShader: vertexShader,
+            fragmentShader: fragmentShader,
+            transparent: true,
+            depthWrite: false
+        });
+        const points = new THREE.Points(createLayerGeometry(count, settings), material);
+        points.frustumCulled = false; // The shader moves layers with the camera, so the CPU-side bounds are wrong
+        points.renderOrder = -1; // Behind the scene
+        group.add(points);
+        return { points: points, count: count };
+    });
+
+    function setUniform(name, value) {
+        layers.forEach(layer => { layer.points.material.uniforms[name].value = value; });
+    }
+
+    return {
+        object: group,
+
+        // Draw only the first `fraction` of each layer (used by the quality tiers)
+        setVisibleFraction(fraction) {
+            layers.forEach(layer => layer.points.geometry.setDrawRange(0, Math.floor(layer.count * fraction)));
+        },
+
+        // Twinkle and pointer shimmer together; off leaves every star steady at its own brightness
+        setTwinkle(enabled) {
+            setUniform('twinkleAmount', enabled ? 1 : 0);
+        },
+
+        // While twinkling, every frame looks different
+        isTwinkling() {
+            return layers[0].points.material.uniforms.twinkleAmount.value > 0;
+        },
+
+        // Half the drawing buffer height in pixels, as PointsMaterial uses, so sizes hold across resizes
+        setPointScale(drawingBufferHeight) {
+            setUniform('pointScale', drawingBufferHeight / 2);
+        },
+
+        // `pointer` is in normalized device coordinates (off-screen values disable the shimmer)
+        update(elapsedTime, pointer) {
+            layers.forEach(layer => {
+                const uniforms = layer.points.material.uniforms;
+                uniforms.time.value = elapsedTime;
+                uniforms.pointer.value.copy(pointer);
+            });
+        },
+
+        dispose() {
+            layers.forEach(layer => {
+                layer.points.geometry.dispose();
+                layer.points.material.dispose();
+            });
+        }
+    };
+}
+
+export { createStarfield };
@@ -0,0 +1,68 @@
+import { defaultSceneManifestPath, loadSceneManifest, localizeSceneManifest } from './sceneManifest.js';
+
+// --- Static Fallback ---
+// Without WebGL the scene can't run, but its content can: the hotspots from scene.json are
+// listed as a plain scrollable page (poster, title, description, links). Only the manifest is
+// fetched; no model, video or audio. Text follows the translator's locale, as the scene's would.
+
+function createHotspotArticle(hotspot) {
+    const article = document.createElement('article');
+    article.className = 'static-hotspot';
+
+    if (hotspot.poster) {
+        const img = document.createElement('img');
+        img.src = hotspot.poster;
+        img.alt = '';
+        img.loading = 'lazy';
+        article.appendChild(img);
+    }
+
+    const title = document.createElement('h2');
+    title.textContent = hotspot.detail.title;
+    article.appendChild(title);
+
+    const body = document.createElement('div');
+    body.innerHTML = hotspot.detail.body; // Authored HTML from the manifest
+    article.appendChild(body);
+
+    if (hotspot.detail.links.length > 0) {
+        const list = document.createElement('ul');
+        list.append(...hotspot.detail.links.map(link => {
+            const item = document.createElement('li');
+            const anchor = document.createElement('a');
+            anchor.href = link.href;
+            anchor.textContent = link.label;
+            anchor.target = '_blank';
+            anchor.rel = 'noopener';
+            item.appendChild(anchor);
+            return item;
+        }));
+        article.appendChild(list);
+    }
+    return article;
+}
+
+// `translator` (see i18n.js) supplies the notice explaining why the 3D scene isn't shown.
+// `onError(error)` runs if even the manifest fails.
+function showStaticFallback(containerElement, translator, onError) {
+    document.querySelectorAll('.cc-scene').forEach(sceneElement => { sceneElement.style.display = 'none'; });
+    document.body.classList.add('static');
+
+    const noticeElement = document.createElement('p');
+    noticeElement.className = 'static-notice';
+    noticeElement.textContent = translator.t('fallback.notice');
+    containerElement.replaceChildren(noticeElement);
+    containerElement.lang = translator.locale;
+    containerElement.dir = translator.dir;
+    containerElement.hidden = false;
+
+    loadSceneManifest(defaultSceneManifestPath, undefined, (manifest) => {
+        const hotspots = localizeSceneManifest(manifest, translator.locale).hotspots;
+        containerElement.append(...hotspots.map(createHotspotArticle));
+    }, (err) => {
+        noticeElement.textContent += ' ' + translator.t('fallback.contentFailed');
+        if (onError) onError(err);
+    });
+}
+
+export { showStaticFallback };
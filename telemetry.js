@@ -0,0 +1,118 @@
+// --- Telemetry ---
+// Structured engagement events, queued and handed to a pluggable sink in batches:
+//   createConsoleSink()     - logs each batch (development; the page's ?telemetry=console)
+//   createBeaconSink(url)   - POSTs each batch as JSON with navigator.sendBeacon
+//   createStubSink()        - keeps batches in memory, for tests
+// A sink is any object with send(batch); a batch is { session, sentAt, events }, and each event
+// is { type, time, ...data } with `time` in ms since the telemetry was created.
+// Nothing is recorded while Do-Not-Track or Global Privacy Control is on, or without consent;
+// withdrawing consent also drops whatever was still queued.
+
+const defaultBatchSize = 20;
+const defaultFlushInterval = 10000; // ms an event may wait in the queue
+
+function isDoNotTrackEnabled() {
+    const doNotTrack = navigator.doNotTrack || window.doNotTrack;
+    return doNotTrack === '1' || doNotTrack === 'yes' || navigator.globalPrivacyControl === true;
+}
+
+function createConsoleSink() {
+    return {
+        send(batch) {
+            console.log(`[telemetry] ${batch.events.length} event(s)`, batch.events);
+        }
+    };
+}
+
+function createBeaconSink(url) {
+    return {
+        send(batch) {
+            const body = new Blob([JSON.stringify(batch)], { type: 'application/json' });
+            if (!navigator.sendBeacon(url, body)) {
+                console.warn(`Telemetry batch of ${batch.events.length} event(s) was refused by sendBeacon.`);
+            }
+        }
+    };
+}
+
+function createStubSink() {
+    const batches = [];
+    return {
+        batches: batches,
+
+        send(batch) {
+            batches.push(batch);
+        },
+
+        // Every event sent so far, in order
+        events() {
+            return batches.flatMap(batch => batch.events);
+        }
+    };
+}
+
+// `options.sink` receives the batches (no sink, no telemetry); `options.consent` is the host page's
+// consent flag and can be changed later with setConsent(). It is opt-in: without it nothing is recorded.
+function createTelemetry(options = {}) {
+    const sink = options.sink || null;
+    const batchSize = options.batchSize || defaultBatchSize;
+    const flushInterval = options.flushInterval || defaultFlushInterval;
+    const session = Math.random().toString(36).slice(2, 10);
+    const startTime = performance.now();
+    let consent = options.consent === true;
+    let queue = [];
+    let flushTimer = null;
+
+    function isEnabled() {
+        return sink !== null && consent && !isDoNotTrackEnabled();
+    }
+
+    function flush() {
+        if (flushTimer !== null) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+        if (queue.length === 0) return;
+        const batch = { session: session, sentAt: Date.now(), events: queue };
+        queue = [];
+        try {
+            sink.send(batch);
+        } catch (e) {
+            console.warn('Telemetry sink failed; the batch was dropped:', e);
+        }
+    }
+
+    function record(type, data = {}) {
+        if (!isEnabled()) return;
+        queue.push({ type: type, time: Math.round(performance.now() - startTime), ...data });
+        if (queue.length >= batchSize) flush();
+        else if (flushTimer === null) flushTimer = setTimeout(flush, flushInterval);
+    }
+
+    // The page may be closing: sendBeacon is made for exactly this moment
+    function onVisibilityChange() {
+        if (document.visibilityState === 'hidden') flush();
+    }
+    document.addEventListener('visibilitychange', onVisibilityChange);
+
+    return {
+        record: record,
+        flush: flush,
+        isEnabled: isEnabled,
+
+        setConsent(granted) {
+            consent = granted;
+            if (!granted) {
+                queue = [];
+                flush(); // Only clears the timer now
+            }
+        },
+
+        dispose() {
+            flush();
+            document.removeEventListener('visibilitychange', onVisibilityChange);
+        }
+    };
+}
+
+export { isDoNotTrackEnabled, createConsoleSink, createBeaconSink, createStubSink, createTelemetry };
@@ -0,0 +1,111 @@
+import * as THREE from 'three';
+
+// --- Scroll Timeline ---
+// Binds scroll progress (0..1 through the scene) to GLB animation clips and fires keyframed events.
+// Config comes from scene.json "timeline", or from a "timeline" custom property on the GLB scene:
+//   "clips":  [{ "name": "WingsOpen", "start": 0.1, "end": 0.3 }]            - scrubbed by scroll
+//             [{ "name": "FoliageSway", "loop": true, "start": 0, "end": 1 }] - plays while in range
+//   "events": [{ "at": 0.25, "action": "playVideo", "target": "lunaMoth_webm" }]
+// Events fire when progress crosses "at"; "direction" limits that to "forward" or "backward".
+
+const timelineActions = ['playVideo', 'stopVideo', 'fadeAudio', 'showInfo', 'hideInfo'];
+
+// Manifest config wins; otherwise look for artist-authored extras on the GLB scene (object or JSON string).
+function resolveTimelineConfig(gltf, manifestTimeline) {
+    if (manifestTimeline) return manifestTimeline;
+    const extras = gltf.scene.userData && gltf.scene.userData.timeline;
+    if (!extras) return null;
+    if (typeof extras === 'string') {
+        try {
+            return JSON.parse(extras);
+        } catch (e) {
+            console.warn('GLB "timeline" custom property is not valid JSON; ignoring it.', e);
+            return null;
+        }
+    }
+    return extras;
+}
+
+// `handlers` maps each action name to a function receiving the event object.
+function createTimeline(gltf, config, handlers) {
+    const mixer = new THREE.AnimationMixer(gltf.scene);
+    const boundClips = [];
+
+    (config.clips || []).forEach(clipConfig => {
+        const clip = THREE.AnimationClip.findByName(gltf.animations, clipConfig.name);
+        if (!clip) {
+            console.warn(`Timeline clip "${clipConfig.name}" not found in the GLB.`);
+            return;
+        }
+        const action = mixer.clipAction(clip);
+        const loop = clipConfig.loop === true;
+        action.setLoop(loop ? THREE.LoopRepeat : THREE.LoopOnce, Infinity);
+        action.clampWhenFinished = true;
+        action.play();
+        action.paused = true; // Scrubbed clips are positioned by hand; looping clips unpause while in range
+        boundClips.push({
+            action: action,
+            duration: clip.duration,
+            start: clipConfig.start !== undefined ? clipConfig.start : 0,
+            end: clipConfig.end !== undefined ? clipConfig.end : 1,
+            loop: loop
+        });
+    });
+
+    const unused = gltf.animations.map(clip => clip.name).filter(name => !(config.clips || []).some(c => c.name === name));
+    if (unused.length > 0) {
+        console.log(`GLB animation clips not on the timeline: ${unused.join(', ')}`);
+    }
+
+    const events = (config.events || []).slice().sort((a, b) => a.at - b.at);
+    let lastProgress = null;
+
+    function fireEvent(event) {
+        const handler = handlers[event.action];
+        if (!handler) {
+            console.warn(`Timeline event action "${event.action}" has no handler.`);
+            return;
+        }
+        handler(event);
+    }
+
+    console.log(`Timeline ready: ${boundClips.length} clip(s), ${events.length} event(s).`);
+
+    return {
+        // Returns true while a looping clip is playing, i.e. the scene keeps animating without scrolling
+        update(progress, delta) {
+            boundClips.forEach(bound => {
+                const span = Math.max(bound.end - bound.start, 1e-6);
+                const local = THREE.MathUtils.clamp((progress - bound.start) / span, 0, 1);
+                if (bound.loop) {
+                    bound.action.paused = progress < bound.start || progress > bound.end;
+                } else {
+                    bound.action.time = local * bound.duration;
+                }
+            });
+            mixer.update(delta);
+
+            if (lastProgress !== null && progress !== lastProgress) {
+                const forward = progress > lastProgress;
+                events.forEach(event => {
+                    const crossed = forward
+                        ? lastProgress < event.at && event.at <= progress
+                        : progress < event.at && event.at <= lastProgress;
+                    if (!crossed) return;
+                    if (event.direction === 'forward' && !forward) return;
+                    if (event.direction === 'backward' && forward) return;
+                    fireEvent(event);
+                });
+            }
+            lastProgress = progress;
+            return boundClips.some(bound => bound.loop && !bound.action.paused);
+        },
+
+        dispose() {
+            mixer.stopAllAction();
+            mixer.uncacheRoot(gltf.scene);
+        }
+    };
+}
+
+export { timelineActions, resolveTimelineConfig, createTimeline };